@@ -0,0 +1,111 @@
+const { PGlite, types } = require('@electric-sql/pglite');
+const { pg_trgm } = require('@electric-sql/pglite/contrib/pg_trgm');
+const migrator = require('./migrator');
+
+// ============================================
+// EMBEDDED BACKEND
+// ============================================
+//
+// Postgres compiled to WebAssembly and running inside this process, so the
+// API boots and the same SQL runs without a database server. Data lives in
+// memory unless EMBEDDED_DB_DIR points at a directory. Migrations are applied
+// automatically the first time the database is used.
+//
+// There is a single session, so every query and every withClient/transaction
+// callback runs exclusively. Code inside withClient must use the client it is
+// given, never this module's query(), or it will wait on itself.
+
+// Contrib extensions the migrations create
+const extensions = { pg_trgm };
+
+// Match node-pg: BIGINT and NUMERIC come back as strings
+const parsers = {
+  [types.INT8]: (value) => value,
+  [types.NUMERIC]: (value) => value
+};
+
+let ready = null;
+let queue = Promise.resolve();
+
+/**
+ * Run one statement. Parameterless text may hold several statements
+ * (migrations), which only the simple protocol (exec) accepts.
+ */
+async function run(pg, text, params) {
+  if (params && params.length > 0) {
+    const result = await pg.query(text, params);
+    return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+  }
+
+  const results = await pg.exec(text);
+  const last = results[results.length - 1] || { rows: [], affectedRows: 0 };
+  return { rows: last.rows, rowCount: last.affectedRows ?? last.rows.length };
+}
+
+function clientFor(pg) {
+  return {
+    query: (text, params) => run(pg, text, params)
+  };
+}
+
+function init() {
+  if (!ready) {
+    ready = (async () => {
+      const pg = new PGlite({ dataDir: process.env.EMBEDDED_DB_DIR || undefined, parsers, extensions });
+      await pg.waitReady;
+
+      await migrator.up({ withClient: (fn) => fn(clientFor(pg)) });
+      console.log(`✅ Embedded database ready (${process.env.EMBEDDED_DB_DIR || 'in-memory'})`);
+
+      return pg;
+    })();
+  }
+  return ready;
+}
+
+/**
+ * Queue fn behind everything already running on the single session
+ */
+function exclusive(fn) {
+  const result = queue.then(async () => fn(await init()));
+  queue = result.catch(() => {});
+  return result;
+}
+
+async function query(text, params) {
+  return exclusive((pg) => run(pg, text, params));
+}
+
+async function withClient(fn) {
+  return exclusive((pg) => fn(clientFor(pg)));
+}
+
+async function transaction(fn) {
+  return withClient(async (client) => {
+    await client.query('BEGIN');
+    try {
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  });
+}
+
+async function end() {
+  if (ready) {
+    const pg = await ready;
+    await pg.close();
+    ready = null;
+  }
+}
+
+module.exports = {
+  name: 'embedded',
+  query,
+  withClient,
+  transaction,
+  end
+};
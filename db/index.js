@@ -0,0 +1,34 @@
+require('dotenv').config();
+
+// ============================================
+// DATABASE BACKEND SELECTION
+// ============================================
+//
+// DB_BACKEND=postgres|embedded picks explicitly. Otherwise DATABASE_URL means
+// Postgres, and without it the API falls back to the in-process embedded
+// database so it can still boot for local runs.
+//
+// Both backends expose the same interface:
+//   query(text, params)  -> { rows, rowCount }
+//   withClient(fn)       -> fn(client) on a dedicated session
+//   transaction(fn)      -> fn(client) inside BEGIN/COMMIT, ROLLBACK on throw
+//   end()
+
+function selectBackend() {
+  const requested = process.env.DB_BACKEND;
+
+  if (requested === 'embedded' || (!requested && !process.env.DATABASE_URL)) {
+    if (!requested) {
+      console.warn('⚠️  DATABASE_URL is not set - using the embedded in-process database');
+    }
+    return require('./embedded');
+  }
+
+  if (requested && requested !== 'postgres') {
+    throw new Error(`Unknown DB_BACKEND "${requested}" (expected postgres or embedded)`);
+  }
+
+  return require('./postgres');
+}
+
+module.exports = selectBackend();
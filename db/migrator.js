@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Arbitrary key so two deploys never run migrations at the same time
+const LOCK_KEY = 4042017;
+
+/**
+ * Read migrations/ and pair up NNN_name.up.sql / NNN_name.down.sql files
+ */
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+    if (!match) continue;
+
+    const version = parseInt(match[1]);
+    const name = match[2];
+    const direction = match[3];
+
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name, up: null, down: null });
+    }
+
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    migrations.get(version)[direction] = sql;
+  }
+
+  const list = [...migrations.values()].sort((a, b) => a.version - b.version);
+
+  for (const migration of list) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+    migration.checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+  }
+
+  return list;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM migrations ORDER BY version');
+  return result.rows;
+}
+
+/**
+ * Run fn with a dedicated client holding the migration advisory lock
+ */
+async function withLock(db, fn) {
+  return db.withClient(async (client) => {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  });
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Apply every pending migration in order, each in its own transaction
+ */
+async function up(db, { to } = {}) {
+  const migrations = loadMigrations();
+
+  return withLock(db, async (client) => {
+    const applied = await getApplied(client);
+    const appliedVersions = new Map(applied.map(row => [row.version, row]));
+
+    for (const row of applied) {
+      const migration = migrations.find(m => m.version === row.version);
+      if (migration && migration.checksum !== row.checksum) {
+        console.warn(`⚠️  Migration ${row.version}_${row.name} was modified after being applied`);
+      }
+    }
+
+    const pending = migrations.filter(m =>
+      !appliedVersions.has(m.version) && (to === undefined || m.version <= to)
+    );
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${migration.version}_${migration.name}`);
+      await runInTransaction(client, async () => {
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      });
+    }
+
+    return pending.map(m => m.version);
+  });
+}
+
+/**
+ * Roll back the most recent `steps` applied migrations. `steps` must be a
+ * positive integer; more steps than applied migrations reverts them all.
+ */
+async function down(db, { steps = 1 } = {}) {
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`steps must be a positive integer, got ${steps}`);
+  }
+  const migrations = loadMigrations();
+
+  return withLock(db, async (client) => {
+    const applied = await getApplied(client);
+    const toRevert = applied.slice(-Math.min(steps, applied.length)).reverse();
+
+    for (const row of toRevert) {
+      const migration = migrations.find(m => m.version === row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${row.version}_${row.name} has no .down.sql file`);
+      }
+
+      console.log(`⬇️  Reverting ${migration.version}_${migration.name}`);
+      await runInTransaction(client, async () => {
+        await client.query(migration.down);
+        await client.query('DELETE FROM migrations WHERE version = $1', [migration.version]);
+      });
+    }
+
+    return toRevert.map(row => row.version);
+  });
+}
+
+async function status(db) {
+  const migrations = loadMigrations();
+
+  return withLock(db, async (client) => {
+    const applied = await getApplied(client);
+    const appliedVersions = new Map(applied.map(row => [row.version, row]));
+
+    return migrations.map(m => {
+      const row = appliedVersions.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        applied: !!row,
+        applied_at: row ? row.applied_at : null,
+        modified: row ? row.checksum !== m.checksum : false
+      };
+    });
+  });
+}
+
+module.exports = { loadMigrations, up, down, status };
@@ -0,0 +1,92 @@
+const { Pool } = require('pg');
+
+// Parse DATABASE_URL
+function parseDatabaseUrl(url) {
+  if (!url) {
+    throw new Error('DATABASE_URL is required');
+  }
+
+  const [baseUrl] = url.split('?');
+  const match = baseUrl.match(/postgres:\/\/([^:]+):([^@]+)@([^:]+):(\d+)\/(.+)/);
+
+  if (match) {
+    return {
+      user: match[1],
+      password: match[2],
+      host: match[3],
+      port: parseInt(match[4]),
+      database: match[5],
+      ssl: { rejectUnauthorized: false }
+    };
+  }
+
+  throw new Error('Invalid DATABASE_URL format');
+}
+
+// Create connection pool on first use so requiring this module never throws
+let pool = null;
+
+function getPool() {
+  if (!pool) {
+    pool = new Pool({
+      ...parseDatabaseUrl(process.env.DATABASE_URL),
+      max: 20,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 10000,
+    });
+
+    pool.on('connect', () => {
+      console.log('✅ Connected to PostgreSQL database');
+    });
+
+    pool.on('error', (err) => {
+      console.error('❌ Database error:', err);
+    });
+  }
+  return pool;
+}
+
+async function query(text, params) {
+  return getPool().query(text, params);
+}
+
+/**
+ * Run fn with a dedicated connection (needed for session-level locks)
+ */
+async function withClient(fn) {
+  const client = await getPool().connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+async function transaction(fn) {
+  return withClient(async (client) => {
+    await client.query('BEGIN');
+    try {
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  });
+}
+
+async function end() {
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+}
+
+module.exports = {
+  name: 'postgres',
+  query,
+  withClient,
+  transaction,
+  end
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+
+// ============================================
+// IN-PROCESS RESULT CACHE
+// ============================================
+//
+// JSON response bodies keyed by request, each with its own TTL. Entries are
+// stored serialized together with their ETag so hits cost no work. While a
+// key is being computed, identical requests wait for that computation instead
+// of starting their own (request coalescing). The cache lives in this process
+// only; every instance keeps and invalidates its own.
+
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+
+const entries = new Map();
+const pending = new Map();
+const routeStats = new Map();
+
+const totals = { evictions: 0, invalidations: 0, last_invalidated_at: null };
+
+// Bumped by invalidate(); results computed before an invalidation are not stored
+let generation = 0;
+
+function statsFor(route) {
+    if (!routeStats.has(route)) {
+        routeStats.set(route, { hits: 0, misses: 0, coalesced: 0 });
+    }
+    return routeStats.get(route);
+}
+
+function record(route, outcome) {
+    statsFor(route)[outcome]++;
+}
+
+/**
+ * Live entry for key, or null. Reading an entry makes it the most recently
+ * used, so the oldest untouched entries are evicted first.
+ */
+function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+}
+
+function currentGeneration() {
+    return generation;
+}
+
+/**
+ * Build the entry for body and store it, unless the cache was invalidated
+ * since `startedGeneration` (the entry is still returned to answer with)
+ */
+function set(key, route, body, ttlSeconds, startedGeneration = generation) {
+    const json = JSON.stringify(body);
+    const now = Date.now();
+    const entry = {
+        route,
+        json,
+        etag: `"${crypto.createHash('sha1').update(json).digest('base64url')}"`,
+        createdAt: now,
+        expiresAt: now + ttlSeconds * 1000
+    };
+
+    if (startedGeneration !== generation) {
+        return entry;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+
+    while (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+        totals.evictions++;
+    }
+
+    return entry;
+}
+
+/**
+ * Promise of the entry another request is computing for key, or null
+ */
+function waitFor(key) {
+    return pending.has(key) ? pending.get(key).promise : null;
+}
+
+/**
+ * Mark key as being computed. Returns settle(entry | null), which releases the
+ * waiting requests; only the first call has an effect.
+ */
+function begin(key) {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    const slot = { promise };
+    pending.set(key, slot);
+
+    let settled = false;
+    return (entry) => {
+        if (settled) return;
+        settled = true;
+        if (pending.get(key) === slot) {
+            pending.delete(key);
+        }
+        resolve(entry);
+    };
+}
+
+/**
+ * Drop every entry, or only the entries of routes starting with `routePrefix`.
+ * Returns the number of entries dropped.
+ */
+function invalidate(routePrefix = null) {
+    let dropped = 0;
+    for (const [key, entry] of entries) {
+        if (!routePrefix || entry.route.startsWith(routePrefix)) {
+            entries.delete(key);
+            dropped++;
+        }
+    }
+
+    generation++;
+    totals.invalidations++;
+    totals.last_invalidated_at = new Date().toISOString();
+    return dropped;
+}
+
+function getStats() {
+    const now = Date.now();
+    const routes = {};
+
+    for (const [route, counts] of routeStats) {
+        const lookups = counts.hits + counts.misses + counts.coalesced;
+        routes[route] = {
+            ...counts,
+            entries: 0,
+            hit_rate: lookups > 0 ? Math.round(((counts.hits + counts.coalesced) / lookups) * 1000) / 1000 : null
+        };
+    }
+    for (const entry of entries.values()) {
+        if (entry.expiresAt > now && routes[entry.route]) {
+            routes[entry.route].entries++;
+        }
+    }
+
+    return {
+        entries: entries.size,
+        max_entries: MAX_ENTRIES,
+        in_flight: pending.size,
+        ...totals,
+        routes
+    };
+}
+
+module.exports = {
+    get,
+    set,
+    currentGeneration,
+    waitFor,
+    begin,
+    record,
+    invalidate,
+    getStats
+};
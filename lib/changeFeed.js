@@ -0,0 +1,331 @@
+const db = require('../db');
+const { notBlocked } = require('./privacy');
+
+// ============================================
+// EVENT KEYS
+// ============================================
+//
+// Every event is derived from a row that already exists:
+//   leave            -> sessions.left_at / session_id
+//   join             -> sessions.joined_at / session_id
+//   room-opened      -> room_snapshots.snapshot_time / snapshot_id (first active snapshot)
+//   occupancy-change -> room_snapshots.snapshot_time / snapshot_id
+//   room-closed      -> room_snapshots.snapshot_time / snapshot_id (is_active = false)
+//
+// Events are ordered by (time in ms, source rank, row id) and that triple,
+// serialized as "<ms>-<rank>-<id>", is the SSE event id clients resume from.
+// Ingestion is serialized, stamps rows with its captured_at and rejects captures
+// that are not newer than the last one, so keys only grow.
+
+const RANK = { leave: 0, join: 1, snapshot: 2 };
+const MAX_RANK = RANK.snapshot;
+
+const POLL_INTERVAL_MS = parseInt(process.env.STREAM_POLL_INTERVAL_MS) || 2000;
+const POLL_BATCH_SIZE = 500;
+
+function formatKey(key) {
+    return `${key.ms}-${key.rank}-${key.id}`;
+}
+
+/**
+ * Parse an event id; returns null when it is not one of ours
+ */
+function parseKey(value) {
+    const match = /^(\d+)-(\d)-(\d+)$/.exec(String(value || '').trim());
+    if (!match || parseInt(match[2]) > MAX_RANK) {
+        return null;
+    }
+    return { ms: parseInt(match[1]), rank: parseInt(match[2]), id: parseInt(match[3]) };
+}
+
+function compareKeys(a, b) {
+    return (a.ms - b.ms) || (a.rank - b.rank) || (a.id - b.id);
+}
+
+/**
+ * SQL condition selecting rows of one source whose key is after `after`.
+ * Keys use millisecond precision, so "ms > t" is "column >= t + 1ms".
+ */
+function afterCondition(column, idColumn, rank, after, params) {
+    if (!after) {
+        return 'true';
+    }
+
+    params.push(after.ms);
+    const sameMs = `$${params.length}`;
+    const nextMs = `to_timestamp((${sameMs}::BIGINT + 1) / 1000.0)`;
+    const thisMs = `to_timestamp(${sameMs}::BIGINT / 1000.0)`;
+
+    if (rank > after.rank) {
+        return `${column} >= ${thisMs}`;
+    }
+    if (rank < after.rank) {
+        return `${column} >= ${nextMs}`;
+    }
+
+    params.push(after.id);
+    return `(${column} >= ${nextMs} OR (${column} >= ${thisMs} AND ${idColumn} > $${params.length}))`;
+}
+
+function msExpression(column) {
+    return `ROUND(EXTRACT(EPOCH FROM date_trunc('milliseconds', ${column})) * 1000)::BIGINT`;
+}
+
+// ============================================
+// EVENT QUERIES
+// ============================================
+
+async function fetchSessionEvents(kind, after, { roomId, limit, executor }) {
+    const timeColumn = kind === 'join' ? 's.joined_at' : 's.left_at';
+    const params = [];
+
+    let whereClause = afterCondition(timeColumn, 's.session_id', RANK[kind], after, params);
+    whereClause += ` AND ${notBlocked('s.user_id')}`;
+    if (kind === 'leave') {
+        whereClause += ' AND s.left_at IS NOT NULL AND s.is_currently_active = false';
+    }
+    if (roomId) {
+        params.push(roomId);
+        whereClause += ` AND s.room_id = $${params.length}`;
+    }
+    params.push(limit);
+
+    const query = `
+        SELECT
+            s.session_id,
+            s.room_id,
+            s.user_id,
+            u.username,
+            u.user_avatar,
+            u.verification_status,
+            s.joined_at,
+            s.left_at,
+            s.duration_seconds,
+            s.user_position,
+            s.mic_was_on,
+            r.language,
+            r.skill_level,
+            ${msExpression(timeColumn)} as event_ms
+        FROM sessions s
+        JOIN users u ON s.user_id = u.user_id
+        JOIN rooms r ON s.room_id = r.room_id
+        WHERE ${whereClause}
+        ORDER BY date_trunc('milliseconds', ${timeColumn}) ASC, s.session_id ASC
+        LIMIT $${params.length}
+    `;
+
+    const result = await executor.query(query, params);
+
+    return result.rows.map(row => {
+        const { event_ms, ...data } = row;
+        if (kind === 'join') {
+            delete data.left_at;
+            delete data.duration_seconds;
+        }
+        return {
+            key: { ms: parseInt(event_ms), rank: RANK[kind], id: parseInt(row.session_id) },
+            type: kind,
+            room_id: row.room_id,
+            user_id: row.user_id,
+            language: row.language,
+            skill_level: row.skill_level,
+            data
+        };
+    });
+}
+
+async function fetchSnapshotEvents(after, { roomId, limit, executor }) {
+    const params = [];
+
+    let whereClause = afterCondition('rs.snapshot_time', 'rs.snapshot_id', RANK.snapshot, after, params);
+    if (roomId) {
+        params.push(roomId);
+        whereClause += ` AND rs.room_id = $${params.length}`;
+    }
+    params.push(limit);
+
+    // Only snapshots where the room opened, closed or its head count changed are events
+    const query = `
+        SELECT * FROM (
+            SELECT
+                rs.snapshot_id,
+                rs.room_id,
+                rs.snapshot_time,
+                rs.participants_count,
+                rs.is_active,
+                prev.participants_count as previous_count,
+                prev.is_active as previous_is_active,
+                r.language,
+                r.skill_level,
+                r.topic,
+                ${msExpression('rs.snapshot_time')} as event_ms
+            FROM room_snapshots rs
+            JOIN rooms r ON rs.room_id = r.room_id
+            LEFT JOIN LATERAL (
+                SELECT p.participants_count, p.is_active
+                FROM room_snapshots p
+                WHERE p.room_id = rs.room_id
+                    AND (p.snapshot_time, p.snapshot_id) < (rs.snapshot_time, rs.snapshot_id)
+                ORDER BY p.snapshot_time DESC, p.snapshot_id DESC
+                LIMIT 1
+            ) prev ON true
+            WHERE ${whereClause}
+        ) snapshot_events
+        WHERE is_active = false
+            OR previous_is_active IS DISTINCT FROM true
+            OR previous_count IS DISTINCT FROM participants_count
+        ORDER BY date_trunc('milliseconds', snapshot_time) ASC, snapshot_id ASC
+        LIMIT $${params.length}
+    `;
+
+    const result = await executor.query(query, params);
+
+    return result.rows.map(row => {
+        let type = 'occupancy-change';
+        if (!row.is_active) {
+            type = 'room-closed';
+        } else if (row.previous_is_active !== true) {
+            type = 'room-opened';
+        }
+
+        return {
+            key: { ms: parseInt(row.event_ms), rank: RANK.snapshot, id: parseInt(row.snapshot_id) },
+            type,
+            room_id: row.room_id,
+            user_id: null,
+            language: row.language,
+            skill_level: row.skill_level,
+            data: {
+                snapshot_id: row.snapshot_id,
+                room_id: row.room_id,
+                snapshot_time: row.snapshot_time,
+                participants_count: row.participants_count,
+                previous_count: row.previous_count === null ? null : parseInt(row.previous_count),
+                language: row.language,
+                skill_level: row.skill_level,
+                topic: row.topic
+            }
+        };
+    });
+}
+
+/**
+ * Fetch up to `limit` events after `after` (null = from the beginning),
+ * merged across sources in key order. Pass `executor` to read through an
+ * open transaction's client instead of the database.
+ */
+async function fetchEvents(after, { roomId = null, limit = POLL_BATCH_SIZE, executor = db } = {}) {
+    const options = { roomId, limit, executor };
+    const sources = [
+        await fetchSessionEvents('leave', after, options),
+        await fetchSessionEvents('join', after, options),
+        await fetchSnapshotEvents(after, options)
+    ];
+
+    // A source that filled its limit may have more rows; nothing past its last key is safe yet
+    let ceiling = null;
+    for (const events of sources) {
+        if (events.length === limit) {
+            const last = events[events.length - 1].key;
+            if (!ceiling || compareKeys(last, ceiling) < 0) {
+                ceiling = last;
+            }
+        }
+    }
+
+    return sources
+        .flat()
+        .filter(event => !ceiling || compareKeys(event.key, ceiling) <= 0)
+        .sort((a, b) => compareKeys(a.key, b.key))
+        .slice(0, limit)
+        .map(event => ({ ...event, id: formatKey(event.key) }));
+}
+
+// ============================================
+// SHARED POLLER
+// ============================================
+
+const listeners = new Set();
+let cursor = null;
+let timer = null;
+let polling = false;
+let pollAgain = false;
+
+async function poll() {
+    if (polling) {
+        pollAgain = true;
+        return;
+    }
+
+    polling = true;
+    try {
+        do {
+            pollAgain = false;
+            const events = await fetchEvents(cursor);
+            for (const event of events) {
+                cursor = event.key;
+                for (const listener of listeners) {
+                    try {
+                        listener(event);
+                    } catch (error) {
+                        console.error('Change feed listener error:', error);
+                    }
+                }
+            }
+            if (events.length === POLL_BATCH_SIZE) {
+                pollAgain = true;
+            }
+        } while (pollAgain && listeners.size > 0);
+    } catch (error) {
+        console.error('Change feed poll error:', error.message);
+    } finally {
+        polling = false;
+    }
+}
+
+function start() {
+    if (timer) return;
+    // Live subscribers only see what happens from now on
+    cursor = { ms: Date.now(), rank: MAX_RANK, id: Number.MAX_SAFE_INTEGER };
+    timer = setInterval(poll, POLL_INTERVAL_MS);
+    timer.unref();
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * Receive every new event; returns an unsubscribe function.
+ * The poller only runs while something is subscribed.
+ */
+function subscribe(listener) {
+    listeners.add(listener);
+    start();
+
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+            stop();
+        }
+    };
+}
+
+/**
+ * Poll right away instead of waiting for the next tick (called after ingestion)
+ */
+function poke() {
+    if (timer) {
+        poll();
+    }
+}
+
+module.exports = {
+    parseKey,
+    formatKey,
+    compareKeys,
+    fetchEvents,
+    subscribe,
+    poke
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { privacy, transaction } = require('../repositories');
+
+// ============================================
+// USER ERASURE
+// ============================================
+//
+// Erasing a user blocklists them and removes them from all eight tables in
+// one transaction:
+//
+//   delete     sessions, profile views, activity and webhook deliveries
+//              about them are deleted, the user disappears from snapshot
+//              participant lists and head counts and from the current head
+//              count of rooms they are in, and the room-days they were in
+//              are recomputed
+//   anonymize  sessions move to a new nameless `anon-…` user so room counts
+//              stay intact; snapshots and webhook delivery payloads carry
+//              that id without name or avatar; profile views and activity
+//              are deleted
+//
+// Either way rooms they created lose their creator details.
+
+// Same keys as ingest and the rollup, so neither runs against a half-erased user
+const INGEST_LOCK_KEY = 4042018;
+const ROLLUP_LOCK_KEY = 4042020;
+
+const ERASURE_MODES = ['delete', 'anonymize'];
+
+/**
+ * Erase one user. Returns the blocklist entry and the rows changed per table.
+ */
+async function eraseUser(userId, { mode = 'delete', reason = null } = {}) {
+    return transaction(async (repos) => {
+        await repos.sessions.lockForTransaction(INGEST_LOCK_KEY);
+        await repos.analytics.lockForTransaction(ROLLUP_LOCK_KEY);
+
+        const days = await repos.analytics.listDaysForUser(userId);
+        const entry = await repos.privacy.block(userId, {
+            reason,
+            status: mode === 'delete' ? 'deleted' : 'anonymized'
+        });
+
+        const result = { mode, blocklist: entry, alias: null };
+
+        result.rooms = await repos.privacy.clearRoomCreator(userId);
+
+        if (mode === 'anonymize') {
+            result.alias = `anon-${crypto.randomBytes(8).toString('hex')}`;
+            result.room_snapshots = await repos.privacy.pseudonymizeSnapshots(userId, result.alias);
+            result.sessions = await repos.privacy.moveSessionsToAlias(userId, result.alias);
+            result.webhook_deliveries = await repos.privacy.pseudonymizeWebhookDeliveries(userId, result.alias);
+        } else {
+            result.room_snapshots = await repos.privacy.removeFromSnapshots(userId);
+            result.rooms += await repos.privacy.leaveActiveRooms(userId);
+            result.sessions = await repos.privacy.deleteSessions(userId);
+            result.webhook_deliveries = await repos.privacy.deleteWebhookDeliveries(userId);
+        }
+
+        result.profile_views = await repos.privacy.deleteProfileViews(userId);
+        result.user_activity_log = await repos.privacy.deleteActivityLog(userId);
+        result.users = await repos.privacy.deleteUser(userId);
+
+        // Anonymized sessions still count towards the same rooms and days
+        result.room_analytics = mode === 'delete' ? await repos.analytics.rebuildDays(days) : 0;
+
+        return result;
+    });
+}
+
+// ============================================
+// VIEWER DATA RETENTION
+// ============================================
+//
+// Profile views keep the viewer's IP hash and user agent for
+// PROFILE_VIEW_RETENTION_DAYS (default 30); after that only the view itself
+// is kept.
+
+const RETENTION_DAYS = parseInt(process.env.PROFILE_VIEW_RETENTION_DAYS) || 30;
+const INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000;
+
+async function purgeExpiredViewerDetails() {
+    const cleared = await privacy.clearViewerDetails(RETENTION_DAYS);
+    return { retention_days: RETENTION_DAYS, profile_views_cleared: cleared };
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+    if (running) return;
+    running = true;
+    try {
+        const { profile_views_cleared: cleared } = await purgeExpiredViewerDetails();
+        if (cleared > 0) {
+            console.log(`🧹 Viewer retention: cleared details of ${cleared} profile view(s)`);
+        }
+    } catch (error) {
+        console.error('Viewer retention error:', error.message);
+    } finally {
+        running = false;
+    }
+}
+
+function start() {
+    if (timer) return;
+    timer = setInterval(tick, INTERVAL_MS);
+    timer.unref();
+    tick();
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    ERASURE_MODES,
+    eraseUser,
+    purgeExpiredViewerDetails,
+    start,
+    stop
+};
@@ -0,0 +1,140 @@
+// ============================================
+// CSV / NDJSON EXPORT
+// ============================================
+//
+// Exports walk a keyset-paginated repository query batch by batch and write
+// each batch to the response as it arrives, so full histories never have to
+// fit in memory. Columns are fixed per export and always written in the same
+// order, in the CSV header as well as in every NDJSON object.
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const EXPORT_BATCH_SIZE = 1000;
+
+function serializeValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+}
+
+/**
+ * Quote a CSV field when needed. Text that a spreadsheet would run as a
+ * formula gets a leading apostrophe.
+ */
+function csvField(value) {
+    value = serializeValue(value);
+    if (value === null) return '';
+    if (typeof value === 'object') value = JSON.stringify(value);
+
+    let text = String(value);
+    if (typeof value === 'string' && /^([=+@\t\r]|-[^\d.])/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function csvLine(values) {
+    return values.map(csvField).join(',') + '\r\n';
+}
+
+function ndjsonLine(columns, row) {
+    const ordered = {};
+    for (const column of columns) {
+        ordered[column] = serializeValue(row[column]);
+    }
+    return JSON.stringify(ordered) + '\n';
+}
+
+/**
+ * Yield every row of a keyset-paginated query in its list order (newest first).
+ * `fetchPage(page)` is a repository call taking { limit, offset, cursor }
+ * that fetches limit + 1 rows carrying cursor_time.
+ */
+async function* keysetBatches(fetchPage, idField, batchSize = EXPORT_BATCH_SIZE) {
+    let cursor = null;
+
+    while (true) {
+        const rows = await fetchPage({ limit: batchSize, offset: 0, cursor });
+        const batch = rows.slice(0, batchSize);
+        if (batch.length > 0) {
+            yield batch.map(({ cursor_time, ...row }) => row);
+        }
+
+        if (rows.length <= batchSize) {
+            return;
+        }
+
+        const last = batch[batch.length - 1];
+        cursor = { time: last.cursor_time, id: last[idField], direction: 'next' };
+    }
+}
+
+/**
+ * Stream `batches` (an async iterable of row arrays) as a file download.
+ * `toRecords(row)` maps a row to the records written for it (it may expand
+ * one row into several). Errors before the first byte propagate to the
+ * caller; later ones can only abort the response.
+ */
+async function streamExport(res, { format, filename, columns, batches, toRecords = row => [row] }) {
+    const iterator = batches[Symbol.asyncIterator]();
+    let next = await iterator.next();
+
+    const { contentType, extension } = FORMATS[format];
+    const safeName = filename.replace(/[^A-Za-z0-9._-]/g, '_');
+
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${extension}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    const write = async (chunk) => {
+        if (!res.write(chunk) && !closed) {
+            await new Promise(resolve => {
+                res.once('drain', resolve);
+                res.once('close', resolve);
+            });
+        }
+    };
+
+    try {
+        if (format === 'csv') {
+            await write(csvLine(columns));
+        }
+
+        while (!next.done && !closed) {
+            let chunk = '';
+            for (const row of next.value) {
+                for (const record of toRecords(row)) {
+                    chunk += format === 'csv'
+                        ? csvLine(columns.map(column => record[column]))
+                        : ndjsonLine(columns, record);
+                }
+            }
+            await write(chunk);
+            next = await iterator.next();
+        }
+
+        res.end();
+    } catch (error) {
+        console.error('Export stream error:', error);
+        res.destroy(error);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    csvField,
+    keysetBatches,
+    streamExport
+};
@@ -0,0 +1,149 @@
+// ============================================
+// GRAPH SERIALIZATION
+// ============================================
+//
+// A graph is { nodes, edges, meta }:
+//   nodes: [{ id, label, followers_count, verification_status, supporter_level }]
+//   edges: [{ source, target, weight, overlap_count, shared_rooms }]
+// Edges are undirected; weight is co-presence in seconds.
+
+const NODE_ATTRIBUTES = [
+    { name: 'followers_count', type: 'int' },
+    { name: 'verification_status', type: 'string' },
+    { name: 'supporter_level', type: 'int' }
+];
+
+const EDGE_ATTRIBUTES = [
+    { name: 'overlap_count', type: 'int' },
+    { name: 'shared_rooms', type: 'int' }
+];
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Build the graph from repository rows; nodes are the users on kept edges
+ */
+function buildGraph(edgeRows, userRows, meta) {
+    const nodes = userRows.map(user => ({
+        id: user.user_id,
+        label: user.username || user.user_id,
+        followers_count: user.followers_count || 0,
+        verification_status: user.verification_status,
+        supporter_level: user.supporter_level || 0
+    }));
+
+    const edges = edgeRows.map(edge => ({
+        source: edge.source,
+        target: edge.target,
+        weight: parseInt(edge.weight),
+        overlap_count: parseInt(edge.overlap_count),
+        shared_rooms: parseInt(edge.shared_rooms)
+    }));
+
+    return { nodes, edges, meta: { ...meta, node_count: nodes.length, edge_count: edges.length } };
+}
+
+function toGraphML(graph) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+        '         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        '         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+        '  <key id="label" for="node" attr.name="label" attr.type="string"/>'
+    ];
+
+    for (const { name, type } of NODE_ATTRIBUTES) {
+        lines.push(`  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+    }
+    lines.push('  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>');
+    for (const { name, type } of EDGE_ATTRIBUTES) {
+        lines.push(`  <key id="${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`);
+    }
+
+    lines.push('  <graph id="co-presence" edgedefault="undirected">');
+
+    for (const node of graph.nodes) {
+        lines.push(`    <node id="${escapeXml(node.id)}">`);
+        lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+        for (const { name } of NODE_ATTRIBUTES) {
+            if (node[name] !== null && node[name] !== undefined) {
+                lines.push(`      <data key="${name}">${escapeXml(node[name])}</data>`);
+            }
+        }
+        lines.push('    </node>');
+    }
+
+    graph.edges.forEach((edge, index) => {
+        lines.push(`    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+        lines.push(`      <data key="weight">${edge.weight}</data>`);
+        for (const { name } of EDGE_ATTRIBUTES) {
+            lines.push(`      <data key="${name}">${edge[name]}</data>`);
+        }
+        lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>', '</graphml>', '');
+    return lines.join('\n');
+}
+
+function toGEXF(graph) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+        '    <creator>Free4Talk Tracker API</creator>',
+        `    <description>Co-presence ${escapeXml(graph.meta.from)} - ${escapeXml(graph.meta.to)}, weight in seconds</description>`,
+        '  </meta>',
+        '  <graph mode="static" defaultedgetype="undirected">',
+        '    <attributes class="node">'
+    ];
+
+    NODE_ATTRIBUTES.forEach(({ name, type }, index) => {
+        lines.push(`      <attribute id="${index}" title="${name}" type="${type === 'int' ? 'integer' : type}"/>`);
+    });
+    lines.push('    </attributes>', '    <attributes class="edge">');
+    EDGE_ATTRIBUTES.forEach(({ name, type }, index) => {
+        lines.push(`      <attribute id="${index}" title="${name}" type="${type === 'int' ? 'integer' : type}"/>`);
+    });
+    lines.push('    </attributes>', '    <nodes>');
+
+    for (const node of graph.nodes) {
+        lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">`);
+        lines.push('        <attvalues>');
+        NODE_ATTRIBUTES.forEach(({ name }, index) => {
+            if (node[name] !== null && node[name] !== undefined) {
+                lines.push(`          <attvalue for="${index}" value="${escapeXml(node[name])}"/>`);
+            }
+        });
+        lines.push('        </attvalues>', '      </node>');
+    }
+
+    lines.push('    </nodes>', '    <edges>');
+
+    graph.edges.forEach((edge, index) => {
+        lines.push(`      <edge id="${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${edge.weight}">`);
+        lines.push('        <attvalues>');
+        EDGE_ATTRIBUTES.forEach(({ name }, attrIndex) => {
+            lines.push(`          <attvalue for="${attrIndex}" value="${edge[name]}"/>`);
+        });
+        lines.push('        </attvalues>', '      </edge>');
+    });
+
+    lines.push('    </edges>', '  </graph>', '</gexf>', '');
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildGraph,
+    toGraphML,
+    toGEXF
+};
@@ -0,0 +1,364 @@
+const { transaction } = require('../repositories');
+
+// Serializes concurrent ingests so two payloads never open the same session twice
+const INGEST_LOCK_KEY = 4042018;
+
+// ============================================
+// PAYLOAD NORMALIZATION
+// ============================================
+
+/**
+ * Return the first value among keys that is not undefined/null
+ */
+function pick(obj, ...keys) {
+    for (const key of keys) {
+        if (obj[key] !== undefined && obj[key] !== null) {
+            return obj[key];
+        }
+    }
+    return null;
+}
+
+// Ids are VARCHAR(64) columns and counts INTEGER ones
+const MAX_ID_LENGTH = 64;
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+
+/**
+ * Error for a payload that cannot be understood; the route answers 400
+ */
+function invalid(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * A string or integer id as a string; `label` names the field in the error
+ */
+function toId(value, label) {
+    if (value === null) return null;
+    if (typeof value === 'number' ? !Number.isSafeInteger(value) : typeof value !== 'string') {
+        throw invalid(`${label} must be a string or an integer`);
+    }
+    const id = String(value);
+    if (id.length > MAX_ID_LENGTH) {
+        throw invalid(`${label} must be at most ${MAX_ID_LENGTH} characters`);
+    }
+    return id;
+}
+
+/**
+ * Integer value, null when it does not parse; `label` names the field in
+ * the error for a value outside the INTEGER range
+ */
+function toInt(value, label) {
+    const parsed = parseInt(value);
+    if (Number.isNaN(parsed)) {
+        return null;
+    }
+    if (parsed < INT_MIN || parsed > INT_MAX) {
+        throw invalid(`${label} is out of range`);
+    }
+    return parsed;
+}
+
+function toBool(value, fallback = false) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value === 'string') return value === 'true' || value === '1';
+    return Boolean(value);
+}
+
+function normalizeVerification(value) {
+    if (typeof value === 'boolean') return value ? 'verified' : 'unverified';
+    return value === null ? null : String(value);
+}
+
+/**
+ * Map a Free4Talk client object (or an already snake_cased one) to a users row.
+ * Fields the listing leaves out are null, so the stored values are kept.
+ */
+function normalizeParticipant(raw, index, roomId) {
+    const userId = pick(raw, 'id', 'user_id', 'userId');
+    if (!userId) {
+        return null;
+    }
+
+    const where = `participant ${index} of room ${roomId}`;
+    return {
+        user_id: toId(userId, `id of ${where}`),
+        username: pick(raw, 'name', 'username'),
+        user_avatar: pick(raw, 'avatar', 'user_avatar'),
+        followers_count: toInt(pick(raw, 'followers', 'followers_count'), `followers of ${where}`),
+        following_count: toInt(pick(raw, 'following', 'following_count'), `following of ${where}`),
+        friends_count: toInt(pick(raw, 'friends', 'friends_count'), `friends of ${where}`),
+        supporter_level: toInt(pick(raw, 'supporter', 'supporter_level'), `supporter level of ${where}`),
+        verification_status: normalizeVerification(pick(raw, 'verification_status', 'isVerified', 'is_verified')),
+        position: toInt(pick(raw, 'position', 'user_position'), `position of ${where}`) ?? index,
+        mic: toBool(pick(raw, 'mic', 'isMicOn', 'mic_on', 'mic_was_on'))
+    };
+}
+
+/**
+ * Map a Free4Talk group object (or an already snake_cased one) to a rooms row
+ */
+function normalizeRoom(raw, index) {
+    const rawRoomId = pick(raw, 'id', 'room_id', 'roomId');
+    if (!rawRoomId) {
+        throw invalid(`Room at index ${index} has no id`);
+    }
+    const roomId = toId(rawRoomId, `id of room at index ${index}`);
+
+    const settings = raw.settings || {};
+    const creator = raw.creator || {};
+    const clients = pick(raw, 'clients', 'participants', 'users') || [];
+    if (!Array.isArray(clients)) {
+        throw invalid(`Participants of room ${roomId} must be an array`);
+    }
+
+    // A user can only be in a room once; keep the first occurrence
+    const seen = new Set();
+    const participants = [];
+    clients.forEach((client, index) => {
+        const participant = normalizeParticipant(client || {}, index, roomId);
+        if (participant && !seen.has(participant.user_id)) {
+            seen.add(participant.user_id);
+            participants.push(participant);
+        }
+    });
+
+    const maxCapacity = toInt(pick(raw, 'maxPeople', 'max_capacity'), `max capacity of room ${roomId}`);
+    const allowsUnlimited = toBool(pick(raw, 'allowsUnlimited', 'allows_unlimited'), maxCapacity === -1);
+
+    return {
+        room_id: roomId,
+        channel: pick(raw, 'channel'),
+        platform: pick(raw, 'platform'),
+        topic: pick(raw, 'topic'),
+        language: pick(raw, 'language'),
+        second_language: pick(raw, 'secondLanguage', 'second_language'),
+        skill_level: pick(raw, 'level', 'skill_level'),
+        max_capacity: maxCapacity,
+        allows_unlimited: allowsUnlimited,
+        is_locked: toBool(pick(raw, 'isLocked', 'is_locked')),
+        mic_allowed: toBool(pick(settings, 'mic', 'micAllowed') ?? pick(raw, 'mic_allowed'), true),
+        mic_required: toBool(pick(settings, 'micRequired') ?? pick(raw, 'mic_required')),
+        no_mic: toBool(pick(settings, 'noMic') ?? pick(raw, 'no_mic')),
+        al_mic: toInt(pick(settings, 'alMic') ?? pick(raw, 'al_mic'), `alMic of room ${roomId}`),
+        url: pick(raw, 'url'),
+        creator_user_id: toId(pick(creator, 'id') ?? pick(raw, 'creator_user_id'), `creator id of room ${roomId}`),
+        creator_name: pick(creator, 'name') ?? pick(raw, 'creator_name'),
+        creator_avatar: pick(creator, 'avatar') ?? pick(raw, 'creator_avatar'),
+        creator_is_verified: toBool(pick(creator, 'isVerified') ?? pick(raw, 'creator_is_verified')),
+        participants
+    };
+}
+
+/**
+ * Accepts the raw Free4Talk groups response ({ data: { [id]: group } }),
+ * a { rooms: [...] } body or a bare array of rooms. capturedAt is null when
+ * the payload does not carry one.
+ * Throws with `status = 400` when the payload cannot be understood.
+ */
+function parsePayload(body) {
+    if (!body || typeof body !== 'object') {
+        throw invalid('Request body must be a JSON object or array');
+    }
+
+    let rawRooms;
+    if (Array.isArray(body)) {
+        rawRooms = body;
+    } else if (Array.isArray(body.rooms)) {
+        rawRooms = body.rooms;
+    } else if (body.data && typeof body.data === 'object') {
+        rawRooms = Array.isArray(body.data) ? body.data : Object.values(body.data);
+    } else {
+        throw invalid('Payload must contain a "rooms" array or a Free4Talk "data" object');
+    }
+
+    const rooms = rawRooms.map((raw, index) => normalizeRoom(raw || {}, index));
+
+    // Without captured_at the capture is stamped once the ingest lock is held
+    let capturedAt = null;
+    const rawCapturedAt = Array.isArray(body) ? null : pick(body, 'captured_at', 'capturedAt', 'timestamp');
+    if (rawCapturedAt) {
+        capturedAt = new Date(rawCapturedAt);
+        if (Number.isNaN(capturedAt.getTime())) {
+            throw invalid('captured_at is not a valid timestamp');
+        }
+    }
+
+    // A full listing means rooms missing from it have closed
+    const fullListing = Array.isArray(body) ? true : body.partial !== true;
+
+    return { rooms, capturedAt, fullListing };
+}
+
+// ============================================
+// DATABASE WRITES
+// ============================================
+
+/**
+ * Remove users on the privacy blocklist from the payload, as participants
+ * and as room creators, so nothing about them is stored
+ */
+async function dropBlockedUsers(repos, rooms) {
+    const userIds = new Set();
+    for (const room of rooms) {
+        room.participants.forEach(p => userIds.add(p.user_id));
+        if (room.creator_user_id !== null) userIds.add(room.creator_user_id);
+    }
+
+    const blocked = new Set(await repos.privacy.listBlockedAmong([...userIds]));
+    if (blocked.size === 0) {
+        return;
+    }
+
+    for (const room of rooms) {
+        room.participants = room.participants.filter(p => !blocked.has(p.user_id));
+        if (room.creator_user_id !== null && blocked.has(room.creator_user_id)) {
+            room.creator_user_id = null;
+            room.creator_name = null;
+            room.creator_avatar = null;
+            room.creator_is_verified = false;
+        }
+    }
+}
+
+/**
+ * Close open sessions and roll their duration into the users' totals
+ */
+async function closeSessions(repos, sessionIds, capturedAt) {
+    const closed = await repos.sessions.close(sessionIds, capturedAt);
+    for (const row of closed) {
+        await repos.users.addDuration(row.user_id, row.duration_seconds);
+    }
+    return closed;
+}
+
+function snapshotParticipants(participants) {
+    return participants.map(p => ({
+        user_id: p.user_id,
+        username: p.username,
+        user_avatar: p.user_avatar,
+        position: p.position,
+        mic: p.mic
+    }));
+}
+
+/**
+ * Diff one room's participants against its open sessions
+ */
+async function syncRoom(repos, room, capturedAt) {
+    await repos.rooms.upsert(room, capturedAt);
+
+    for (const participant of room.participants) {
+        await repos.users.upsert(participant, capturedAt);
+    }
+
+    const openSessions = await repos.sessions.listOpenInRoom(room.room_id);
+
+    const present = new Map(room.participants.map(p => [p.user_id, p]));
+    const stillOpen = new Set();
+    const toClose = [];
+
+    for (const row of openSessions) {
+        // Duplicate open sessions for the same user are closed as well
+        if (present.has(row.user_id) && !stillOpen.has(row.user_id)) {
+            stillOpen.add(row.user_id);
+            await repos.sessions.touchOpen(row.session_id, present.get(row.user_id));
+        } else {
+            toClose.push(row.session_id);
+        }
+    }
+
+    const closed = await closeSessions(repos, toClose, capturedAt);
+
+    const opened = [];
+    for (const participant of room.participants) {
+        if (!stillOpen.has(participant.user_id)) {
+            opened.push(await repos.sessions.open(room.room_id, participant, capturedAt));
+            await repos.users.incrementSessionCount(participant.user_id);
+        }
+    }
+
+    await repos.rooms.insertSnapshot(room.room_id, snapshotParticipants(room.participants), true, capturedAt);
+
+    return { opened, closed };
+}
+
+/**
+ * Mark active rooms missing from a full listing as closed and end their sessions
+ */
+async function closeMissingRooms(repos, seenRoomIds, capturedAt) {
+    const closedRoomIds = await repos.rooms.closeAllExcept(seenRoomIds, capturedAt);
+
+    // Sessions can also be left open in rooms that were already marked inactive
+    const openSessionIds = await repos.sessions.listOpenOutsideRooms(seenRoomIds);
+    const closed = await closeSessions(repos, openSessionIds, capturedAt);
+
+    for (const roomId of closedRoomIds) {
+        await repos.rooms.insertSnapshot(roomId, [], false, capturedAt);
+    }
+
+    return { closedRoomIds, closed };
+}
+
+// ============================================
+// ENTRY POINT
+// ============================================
+
+/**
+ * Apply one room-list payload in a single transaction.
+ * Returns the sessions opened/closed and the rooms that closed.
+ * Throws with `status = 409` when the capture is not newer than the last
+ * one: closing sessions before they opened and change-feed keys going
+ * backwards would both follow from applying it.
+ */
+async function ingestSnapshot(body) {
+    const { rooms, capturedAt: requestedAt, fullListing } = parsePayload(body);
+
+    return transaction(async (repos) => {
+        await repos.sessions.lockForTransaction(INGEST_LOCK_KEY);
+        const capturedAt = requestedAt || new Date();
+
+        const latest = await repos.sessions.getLatestCaptureTime();
+        if (latest && capturedAt.getTime() <= new Date(latest).getTime()) {
+            throw Object.assign(
+                new Error(`captured_at must be later than the last capture (${new Date(latest).toISOString()})`),
+                { status: 409, latestCapturedAt: latest }
+            );
+        }
+
+        await dropBlockedUsers(repos, rooms);
+
+        const result = {
+            captured_at: capturedAt,
+            rooms_seen: rooms.length,
+            users_seen: 0,
+            sessions_opened: [],
+            sessions_closed: [],
+            rooms_closed: []
+        };
+
+        const users = new Set();
+        for (const room of rooms) {
+            room.participants.forEach(p => users.add(p.user_id));
+            const { opened, closed } = await syncRoom(repos, room, capturedAt);
+            result.sessions_opened.push(...opened);
+            result.sessions_closed.push(...closed);
+        }
+        result.users_seen = users.size;
+
+        if (fullListing) {
+            const { closedRoomIds, closed } = await closeMissingRooms(repos, rooms.map(r => r.room_id), capturedAt);
+            result.rooms_closed = closedRoomIds;
+            result.sessions_closed.push(...closed);
+        }
+
+        return result;
+    });
+}
+
+module.exports = {
+    parsePayload,
+    ingestSnapshot
+};
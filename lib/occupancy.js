@@ -0,0 +1,106 @@
+// ============================================
+// OCCUPANCY TIME SERIES
+// ============================================
+//
+// Concurrent users form a step function: a starting level at `from` plus
+// +/- deltas at the instants people join and leave (or, for snapshots, at the
+// instants a room's head count was observed to change). The series query turns
+// that step function into fixed-size buckets with the minimum, maximum and
+// time-weighted average level inside each bucket.
+//
+// Parameter positions are fixed: $1 = from, $2 = to, $3 = bucket seconds.
+// Callers' SQL may use $4 and later for their own filters.
+
+const BUCKETS = {
+    '1m': 60,
+    '5m': 5 * 60,
+    '1h': 60 * 60,
+    '1d': 24 * 60 * 60
+};
+
+const MAX_BUCKETS = 5000;
+
+/**
+ * `initial` selects one row with a `users` column (level at $1); `deltas`
+ * selects (time, delta) rows. Deltas outside ($1, $2) are ignored.
+ */
+function stepSeriesQuery({ initial, deltas }) {
+    const bucketStart = (index) => `($1::timestamptz + ${index} * $3::INTEGER * INTERVAL '1 second')`;
+
+    return `
+        WITH initial AS (
+            ${initial}
+        ),
+        changes AS (
+            SELECT time, SUM(delta) as delta
+            FROM (${deltas}) deltas
+            WHERE time > $1 AND time < $2
+            GROUP BY time
+        ),
+        segments AS (
+            SELECT
+                $1::timestamptz as seg_start,
+                COALESCE((SELECT MIN(time) FROM changes), $2::timestamptz) as seg_end,
+                (SELECT users FROM initial) as users
+            UNION ALL
+            SELECT
+                time,
+                COALESCE(LEAD(time) OVER (ORDER BY time), $2::timestamptz),
+                (SELECT users FROM initial) + SUM(delta) OVER (ORDER BY time)
+            FROM changes
+        ),
+        pieces AS (
+            SELECT
+                g.bucket,
+                s.users,
+                EXTRACT(EPOCH FROM (
+                    LEAST(s.seg_end, ${bucketStart('(g.bucket + 1)')}) - GREATEST(s.seg_start, ${bucketStart('g.bucket')})
+                )) as seconds
+            FROM segments s
+            CROSS JOIN LATERAL generate_series(
+                FLOOR(EXTRACT(EPOCH FROM (s.seg_start - $1::timestamptz)) / $3::INTEGER)::INTEGER,
+                CEIL(EXTRACT(EPOCH FROM (s.seg_end - $1::timestamptz)) / $3::INTEGER)::INTEGER - 1
+            ) as g(bucket)
+            WHERE s.seg_end > s.seg_start
+        )
+        SELECT
+            ${bucketStart('bucket')} as bucket_start,
+            MIN(users)::INTEGER as min,
+            MAX(users)::INTEGER as max,
+            ROUND(SUM(users * seconds) / SUM(seconds), 2)::FLOAT as avg
+        FROM pieces
+        WHERE seconds > 0
+        GROUP BY bucket
+        ORDER BY bucket
+    `;
+}
+
+/**
+ * Align `from` down to a bucket boundary (UTC) and clamp `to` to now, since
+ * open sessions have no end yet. Returns { error } for unusable windows.
+ */
+function resolveWindow(from, to, bucketSeconds) {
+    const bucketMs = bucketSeconds * 1000;
+    const now = Date.now();
+
+    const end = Math.min(to ? new Date(to).getTime() : now, now);
+    const start = Math.floor(new Date(from).getTime() / bucketMs) * bucketMs;
+
+    if (start >= end) {
+        return { error: 'from must be before to (and before now)' };
+    }
+
+    const buckets = Math.ceil((end - start) / bucketMs);
+    if (buckets > MAX_BUCKETS) {
+        return { error: `Too many buckets (${buckets}); use a larger bucket or a shorter window (max ${MAX_BUCKETS})` };
+    }
+
+    return { from: new Date(start).toISOString(), to: new Date(end).toISOString(), buckets };
+}
+
+module.exports = {
+    BUCKETS,
+    MAX_BUCKETS,
+    stepSeriesQuery,
+    resolveWindow
+};
@@ -0,0 +1,128 @@
+// ============================================
+// KEYSET (CURSOR) PAGINATION
+// ============================================
+//
+// Lists are ordered newest first by (time, id). A cursor is an opaque
+// base64url JSON blob holding the boundary row's key, the direction to
+// travel (next = older rows, prev = newer rows) and the list it belongs to,
+// so a timeline cursor cannot be replayed against the snapshots endpoint.
+//
+// Every paginated endpoint returns the same envelope:
+//   { <items>: [...], pagination: { mode, limit, offset, total, has_more, next_cursor, prev_cursor } }
+// `offset`/`total` are only filled in offset mode (no cursor sent), which is
+// kept as a fallback for existing clients.
+
+function encodeCursor(scope, time, id, direction) {
+    const payload = JSON.stringify({ s: scope, t: time, i: String(id), d: direction });
+    return Buffer.from(payload).toString('base64url');
+}
+
+function decodeCursor(value, scope) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+        if (payload.s !== scope || !payload.t || payload.i === undefined) return null;
+        if (payload.d !== 'next' && payload.d !== 'prev') return null;
+        if (Number.isNaN(new Date(payload.t).getTime())) return null;
+        return { time: payload.t, id: payload.i, direction: payload.d };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Read limit/offset/cursor from req.query. Returns { error } for a cursor
+ * that is malformed or belongs to another list.
+ */
+function parsePagination(query, scope, { defaultLimit = 50 } = {}) {
+    const limit = parseInt(query.limit) || defaultLimit;
+    const offset = parseInt(query.offset) || 0;
+
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor, scope);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+        return { limit, offset: 0, cursor };
+    }
+
+    return { limit, offset, cursor: null };
+}
+
+/**
+ * WHERE/HAVING condition for rows after the cursor (pushes its params).
+ * Returns 'true' in offset mode.
+ */
+function keysetCondition(timeExpression, idExpression, cursor, params) {
+    if (!cursor) {
+        return 'true';
+    }
+
+    params.push(cursor.time, cursor.id);
+    const operator = cursor.direction === 'next' ? '<' : '>';
+    return `(${timeExpression}, ${idExpression}) ${operator} ($${params.length - 1}::timestamptz, $${params.length})`;
+}
+
+/**
+ * ORDER BY for the page; prev pages are read oldest first and reversed later
+ */
+function keysetOrder(timeExpression, idExpression, cursor) {
+    const direction = cursor && cursor.direction === 'prev' ? 'ASC' : 'DESC';
+    return `${timeExpression} ${direction}, ${idExpression} ${direction}`;
+}
+
+/**
+ * SQL expression for a cursor time with full microsecond precision;
+ * JS Dates would truncate to milliseconds and skip rows on the boundary.
+ */
+function cursorTimeExpression(timeExpression) {
+    return `to_char(${timeExpression} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')`;
+}
+
+/**
+ * Turn rows fetched with LIMIT limit + 1 into { items, pagination }.
+ * Rows must carry `cursor_time`; `idField` names their id column.
+ */
+function buildPage(rows, { scope, idField, limit, offset, cursor, total = null }) {
+    const hasMore = rows.length > limit;
+    let items = rows.slice(0, limit);
+    if (cursor && cursor.direction === 'prev') {
+        items = items.reverse();
+    }
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    const toCursor = (row, direction) => row ? encodeCursor(scope, row.cursor_time, row[idField], direction) : null;
+
+    let nextCursor;
+    let prevCursor;
+    if (cursor && cursor.direction === 'prev') {
+        nextCursor = toCursor(last, 'next');
+        prevCursor = hasMore ? toCursor(first, 'prev') : null;
+    } else {
+        nextCursor = hasMore ? toCursor(last, 'next') : null;
+        prevCursor = cursor || offset > 0 ? toCursor(first, 'prev') : null;
+    }
+
+    return {
+        items: items.map(({ cursor_time, ...row }) => row),
+        pagination: {
+            mode: cursor ? 'cursor' : 'offset',
+            limit,
+            offset: cursor ? null : offset,
+            total,
+            has_more: hasMore,
+            next_cursor: nextCursor,
+            prev_cursor: prevCursor
+        }
+    };
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    parsePagination,
+    keysetCondition,
+    keysetOrder,
+    cursorTimeExpression,
+    buildPage
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+// ============================================
+// PRIVACY HELPERS
+// ============================================
+//
+// Users on privacy_blocklist never appear in a response: queries that return
+// individual users filter them with notBlocked(), snapshot participant
+// lists pass through redactedParticipants() and rooms they created show no
+// creator through creatorColumn(). Aggregate counts still include their past
+// activity until they are erased.
+//
+// Viewer IPs are only stored as HMAC-SHA256 hashes keyed with IP_HASH_SALT.
+// Without the variable a random salt is used, so hashes stop matching across
+// restarts.
+
+let ipSalt = process.env.IP_HASH_SALT;
+if (!ipSalt) {
+    console.warn('⚠️  IP_HASH_SALT is not set; viewer IP hashes will not match across restarts');
+    ipSalt = crypto.randomBytes(32).toString('hex');
+}
+
+function hashIp(ip) {
+    if (!ip) return null;
+    return crypto.createHmac('sha256', ipSalt).update(String(ip)).digest('hex');
+}
+
+/**
+ * SQL condition: the user_id in `column` is not on the blocklist. Qualify
+ * the column (`users.user_id`, `s.user_id`): a bare user_id would resolve to
+ * the blocklist's own column and hide everyone once anyone is blocked.
+ */
+function notBlocked(column) {
+    return `NOT EXISTS (SELECT 1 FROM privacy_blocklist pb WHERE pb.user_id = ${column})`;
+}
+
+/**
+ * SQL expression: the participants JSON array in `column` without blocked users
+ */
+function redactedParticipants(column) {
+    return `(
+        SELECT COALESCE(jsonb_agg(participant ORDER BY ordinal), '[]'::jsonb)
+        FROM jsonb_array_elements(${column}) WITH ORDINALITY as e(participant, ordinal)
+        WHERE ${notBlocked(`participant->>'user_id'`)}
+    )`;
+}
+
+// Value of each rooms creator column while the creator is blocklisted
+const BLOCKED_CREATOR = {
+    creator_user_id: 'NULL',
+    creator_name: 'NULL',
+    creator_avatar: 'NULL',
+    creator_is_verified: 'false'
+};
+
+/**
+ * SQL expression: one creator column of the rooms table aliased as `alias`
+ * ('' for none), blanked out when the creator is blocklisted
+ */
+function creatorColumn(name, alias = '') {
+    const column = (field) => `${alias || 'rooms'}.${field}`;
+    return `CASE WHEN ${notBlocked(column('creator_user_id'))} THEN ${column(name)} ELSE ${BLOCKED_CREATOR[name]} END`;
+}
+
+/**
+ * SQL select list of all creator columns, for room projections
+ */
+function creatorColumns(alias = '') {
+    return Object.keys(BLOCKED_CREATOR)
+        .map(name => `${creatorColumn(name, alias)} as ${name}`)
+        .join(',\n');
+}
+
+module.exports = {
+    hashIp,
+    notBlocked,
+    redactedParticipants,
+    creatorColumn,
+    creatorColumns
+};
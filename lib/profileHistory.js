@@ -0,0 +1,96 @@
+// ============================================
+// PROFILE CHANGE HISTORY
+// ============================================
+//
+// Every upsert of a known user compares the stored profile with the new one
+// and writes one user_activity_log row per changed field, with
+// activity_data { old, new }:
+//
+//   username              username_change
+//   user_avatar           avatar_change
+//   followers_count       followers_change
+//   supporter_level       supporter_level_change
+//   verification_status   verification_change
+//
+// The username and avatar changes double as alias history: replaying them
+// gives every name and avatar a user has had and when each was in use.
+
+const PROFILE_CHANGE_TYPES = {
+    username: 'username_change',
+    user_avatar: 'avatar_change',
+    followers_count: 'followers_change',
+    supporter_level: 'supporter_level_change',
+    verification_status: 'verification_change'
+};
+
+/**
+ * { activity_type, activity_data } for every tracked field that differs
+ * between the stored profile and the upserted one
+ */
+function diffProfile(previous, current) {
+    const changes = [];
+    for (const [field, type] of Object.entries(PROFILE_CHANGE_TYPES)) {
+        if (previous[field] !== current[field]) {
+            changes.push({ activity_type: type, activity_data: { old: previous[field], new: current[field] } });
+        }
+    }
+    return changes;
+}
+
+/**
+ * The values one field has had, current first: [{ <field>, first_seen,
+ * last_seen, is_current }]. `changes` are that field's log rows, oldest
+ * first. A value used more than once is listed once, spanning all its uses;
+ * the current value runs until the user was last seen.
+ */
+function aliasTimeline(user, field, changes) {
+    const periods = [];
+
+    if (changes.length > 0) {
+        const firstChange = changes[0].activity_time;
+        periods.push({
+            value: changes[0].activity_data.old,
+            from: user.first_seen < firstChange ? user.first_seen : firstChange,
+            to: firstChange
+        });
+    }
+    changes.forEach((change, i) => {
+        const next = changes[i + 1];
+        periods.push({
+            value: change.activity_data.new,
+            from: change.activity_time,
+            to: next ? next.activity_time : user.last_seen
+        });
+    });
+    if (periods.length === 0) {
+        periods.push({ value: user[field], from: user.first_seen, to: user.last_seen });
+    }
+
+    const byValue = new Map();
+    for (const period of periods) {
+        if (period.value === null || period.value === undefined) continue;
+
+        const alias = byValue.get(period.value);
+        if (!alias) {
+            byValue.set(period.value, { first_seen: period.from, last_seen: period.to });
+        } else {
+            if (period.from < alias.first_seen) alias.first_seen = period.from;
+            if (period.to > alias.last_seen) alias.last_seen = period.to;
+        }
+    }
+
+    return [...byValue.entries()]
+        .map(([value, { first_seen, last_seen }]) => ({
+            [field]: value,
+            first_seen,
+            last_seen,
+            is_current: value === user[field]
+        }))
+        .sort((a, b) => (b.is_current - a.is_current) || (b.last_seen - a.last_seen));
+}
+
+module.exports = {
+    PROFILE_CHANGE_TYPES,
+    diffProfile,
+    aliasTimeline
+};
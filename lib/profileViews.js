@@ -0,0 +1,55 @@
+const { transaction } = require('../repositories');
+const { hashIp } = require('./privacy');
+
+// ============================================
+// PROFILE VIEW COUNTING
+// ============================================
+//
+// A view counts once per viewer (hashed IP) and profile within
+// PROFILE_VIEW_DEDUPE_MINUTES (default 30); refreshes inside the window are
+// dropped. Requests from crawlers, link previews and HTTP libraries are not
+// recorded at all. Counted views bump users.profile_views_count in the same
+// transaction, so the counter always matches the stored rows.
+
+const DEDUPE_MINUTES = parseInt(process.env.PROFILE_VIEW_DEDUPE_MINUTES) || 30;
+
+const BOT_USER_AGENT = /bot\b|bot\/|crawl|spider|slurp|scrape|preview|facebookexternalhit|embedly|headless|phantomjs|lighthouse|monitor|uptime|curl\/|wget\/|python-requests|python-urllib|aiohttp|httpx|go-http-client|java\/|okhttp|axios\/|node-fetch|undici|libwww-perl|postman/i;
+
+/**
+ * True for missing user agents and ones that identify automated clients
+ */
+function isBot(userAgent) {
+    return !userAgent || BOT_USER_AGENT.test(userAgent);
+}
+
+/**
+ * Record one profile view. Returns { counted, reason, profile_views_count }
+ * where reason is 'bot' or 'duplicate' for views that were not counted and
+ * profile_views_count is the updated counter of a counted view.
+ */
+async function recordProfileView(userId, { ip, userAgent }) {
+    if (isBot(userAgent)) {
+        return { counted: false, reason: 'bot', profile_views_count: null };
+    }
+
+    const viewerIpHash = hashIp(ip);
+
+    return transaction(async (repos) => {
+        await repos.users.lockProfileViewer(userId, viewerIpHash);
+
+        const inserted = await repos.users.recordProfileView(
+            userId, viewerIpHash, userAgent.substring(0, 255), DEDUPE_MINUTES
+        );
+        if (!inserted) {
+            return { counted: false, reason: 'duplicate', profile_views_count: null };
+        }
+
+        const profileViewsCount = await repos.users.incrementProfileViews(userId);
+        return { counted: true, reason: null, profile_views_count: profileViewsCount };
+    });
+}
+
+module.exports = {
+    isBot,
+    recordProfileView
+};
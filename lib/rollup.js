@@ -0,0 +1,110 @@
+const { analytics, transaction } = require('../repositories');
+
+// ============================================
+// ROOM ANALYTICS ROLLUP
+// ============================================
+//
+// room_analytics holds one row per room per UTC day, recomputed from sessions.
+// Rebuilding a room-day replaces its row, so runs are idempotent. Incremental
+// runs rebuild the days overlapped by sessions written (opened, refreshed or
+// closed) since the previous run; backfills rebuild a date range.
+
+const ROLLUP_LOCK_KEY = 4042020;
+const ROLLUP_BATCH_SIZE = 200;
+
+// Writers that started before a run but committed after it still get picked up
+const WATERMARK_OVERLAP_MS = 5 * 60 * 1000;
+
+const INTERVAL_MS = parseInt(process.env.ROLLUP_INTERVAL_MS) || 10 * 60 * 1000;
+
+function formatDate(date) {
+    return date instanceof Date ? date.toISOString().slice(0, 10) : String(date);
+}
+
+/**
+ * Rebuild room-days in batches, one transaction per batch.
+ * Returns the number of room_analytics rows written.
+ */
+async function rebuild(days) {
+    let written = 0;
+
+    for (let i = 0; i < days.length; i += ROLLUP_BATCH_SIZE) {
+        const batch = days.slice(i, i + ROLLUP_BATCH_SIZE).map(day => ({
+            room_id: day.room_id,
+            date: formatDate(day.date)
+        }));
+
+        written += await transaction(async (repos) => {
+            await repos.analytics.lockForTransaction(ROLLUP_LOCK_KEY);
+            return repos.analytics.rebuildDays(batch);
+        });
+    }
+
+    return written;
+}
+
+/**
+ * Rebuild the room-days touched since the last run, then move the watermark.
+ * The first run covers every session.
+ */
+async function runIncremental() {
+    const { now: startedAt, watermark } = await analytics.getWatermark();
+    const since = watermark ? new Date(watermark.getTime() - WATERMARK_OVERLAP_MS) : null;
+
+    const days = await analytics.listDaysTouchedSince(since);
+    const rows = await rebuild(days);
+
+    await analytics.setWatermark(startedAt);
+    return { days: days.length, rows, since };
+}
+
+/**
+ * Rebuild every room-day between two dates (YYYY-MM-DD, inclusive),
+ * optionally for one room; leaves the watermark alone
+ */
+async function backfill({ from, to, roomId }) {
+    const days = await analytics.listDaysBetween(from, to, { roomId });
+    const rows = await rebuild(days);
+    return { days: days.length, rows };
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+let timer = null;
+let running = false;
+
+async function tick() {
+    if (running) return;
+    running = true;
+    try {
+        const { days, rows } = await runIncremental();
+        if (days > 0) {
+            console.log(`📊 Room analytics rollup: ${days} room-day(s) rebuilt, ${rows} row(s) written`);
+        }
+    } catch (error) {
+        console.error('Room analytics rollup error:', error.message);
+    } finally {
+        running = false;
+    }
+}
+
+function start() {
+    if (timer) return;
+    timer = setInterval(tick, INTERVAL_MS);
+    timer.unref();
+    tick();
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    runIncremental,
+    backfill,
+    start,
+    stop
+};
@@ -0,0 +1,134 @@
+// ============================================
+// ROOM DISCOVERY FILTERS
+// ============================================
+//
+// One filter set shared by every room listing (/rooms/active,
+// /rooms/trending, /rooms/search and the rooms part of /search):
+//
+//   language, second_language, skill_level, platform
+//                        comma-separated lists; a room matches any value
+//   language_pair=A,B    language and second language are A and B, either way round
+//   mic=required         the room requires a mic
+//   mic=allowed          mics may be used
+//   mic=optional         mics may be used but are not required
+//   mic=none             mics are not allowed
+//   hide_locked=true     skip locked rooms
+//   hide_full=true       skip full rooms
+//   min_free_seats=N     at least N free seats (unlimited rooms always qualify)
+//   verified_creator=true  only rooms whose creator is verified
+//
+// Spread roomFilterRules into a route's validate() query schema, then hand
+// pickRoomFilters(req.query) to the repository, which turns it into SQL with
+// roomFilterConditions().
+
+const MIC_POLICIES = ['required', 'allowed', 'optional', 'none'];
+
+const valueList = { type: 'list', of: { type: 'string', maxLength: 100 }, maxItems: 20 };
+const flag = { type: 'boolean', default: false };
+
+const roomFilterRules = {
+    language: valueList,
+    second_language: valueList,
+    skill_level: valueList,
+    platform: valueList,
+    language_pair: { type: 'string', maxLength: 201, pattern: /^[^,]+,[^,]+$/ },
+    mic: { type: 'string', enum: MIC_POLICIES },
+    hide_locked: flag,
+    hide_full: flag,
+    min_free_seats: { type: 'int', min: 1, max: 10000 },
+    verified_creator: flag
+};
+
+const LIST_FILTERS = ['language', 'second_language', 'skill_level', 'platform'];
+
+/**
+ * The room filters out of an already validated query
+ */
+function pickRoomFilters(query) {
+    const filters = {};
+
+    for (const field of LIST_FILTERS) {
+        if (query[field] && query[field].length > 0) {
+            filters[field] = query[field];
+        }
+    }
+
+    if (query.language_pair) {
+        filters.language_pair = query.language_pair.split(',').map(part => part.trim());
+    }
+
+    for (const field of ['mic', 'min_free_seats']) {
+        if (query[field] !== undefined) {
+            filters[field] = query[field];
+        }
+    }
+
+    for (const field of ['hide_locked', 'hide_full', 'verified_creator']) {
+        if (query[field]) {
+            filters[field] = true;
+        }
+    }
+
+    return filters;
+}
+
+/**
+ * SQL conditions for `filters` on the rooms table aliased as `alias`
+ * ('' for none). Values are appended to `params`.
+ */
+function roomFilterConditions(filters, params, alias = '') {
+    const column = (name) => (alias ? `${alias}.${name}` : name);
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const conditions = [];
+
+    for (const field of LIST_FILTERS) {
+        if (filters[field]) {
+            conditions.push(`${column(field)} = ANY(${param(filters[field])}::varchar[])`);
+        }
+    }
+
+    if (filters.language_pair) {
+        const [a, b] = [param(filters.language_pair[0]), param(filters.language_pair[1])];
+        conditions.push(`((${column('language')} = ${a} AND ${column('second_language')} = ${b})
+            OR (${column('language')} = ${b} AND ${column('second_language')} = ${a}))`);
+    }
+
+    const micAllowed = `${column('mic_allowed')} IS NOT FALSE AND ${column('no_mic')} IS NOT TRUE`;
+    if (filters.mic === 'required') {
+        conditions.push(`${column('mic_required')} = true`);
+    } else if (filters.mic === 'allowed') {
+        conditions.push(`(${micAllowed})`);
+    } else if (filters.mic === 'optional') {
+        conditions.push(`(${micAllowed} AND ${column('mic_required')} IS NOT TRUE)`);
+    } else if (filters.mic === 'none') {
+        conditions.push(`NOT (${micAllowed})`);
+    }
+
+    if (filters.hide_locked) {
+        conditions.push(`${column('is_locked')} IS NOT TRUE`);
+    }
+
+    if (filters.hide_full) {
+        conditions.push(`${column('is_full')} IS NOT TRUE`);
+    }
+
+    if (filters.min_free_seats) {
+        conditions.push(`(${column('allows_unlimited')} = true
+            OR ${column('max_capacity')} - ${column('current_users_count')} >= ${param(filters.min_free_seats)})`);
+    }
+
+    if (filters.verified_creator) {
+        conditions.push(`${column('creator_is_verified')} = true`);
+    }
+
+    return conditions;
+}
+
+module.exports = {
+    roomFilterRules,
+    pickRoomFilters,
+    roomFilterConditions
+};
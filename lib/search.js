@@ -0,0 +1,168 @@
+// ============================================
+// FUZZY SEARCH
+// ============================================
+//
+// Search ranks rows by pg_trgm trigram similarity, so typos still match.
+// Each searchable field scores 0..1, scaled by its weight:
+//
+//   exact match (case-insensitive)      1.0
+//   field starts with the query         0.9
+//   field contains the query            0.75
+//   otherwise                           best of similarity() and word_similarity()
+//
+// A row's score is its best field; rows below SEARCH_MIN_SCORE (default 0.3)
+// are dropped. The query is matched literally: % _ and \ are escaped before
+// they reach LIKE. Queries use the parameters
+//   $1 lowercased query   $2 contains pattern   $3 prefix pattern
+// so callers append their own parameters from $4 on.
+//
+// Scoring every row would scan whole tables, so rows are first narrowed with
+// matchCondition(): LIKE, % and <% on lower(column), which the trigram GIN
+// indexes answer. A search runs in a transaction that first calls
+// applyThresholds(), pointing both pg_trgm thresholds at SEARCH_MIN_SCORE;
+// every row that can reach the minimum score then passes the prefilter.
+
+const MIN_SCORE = parseFloat(process.env.SEARCH_MIN_SCORE) || 0.3;
+
+// Words holding at least this share of a query word's trigrams are highlighted
+const HIGHLIGHT_COVERAGE = 0.5;
+
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * The three leading query parameters for a search
+ */
+function searchParams(q) {
+    const text = q.trim().toLowerCase();
+    const escaped = escapeLike(text);
+    return [text, `%${escaped}%`, `${escaped}%`];
+}
+
+/**
+ * Set the % and <% thresholds to MIN_SCORE for the rest of the transaction
+ */
+async function applyThresholds(executor) {
+    await executor.query(
+        `SELECT set_config('pg_trgm.similarity_threshold', $1, true),
+                set_config('pg_trgm.word_similarity_threshold', $1, true)`,
+        [String(MIN_SCORE)]
+    );
+}
+
+/**
+ * SQL condition: any of `columns` may match the query. Only a prefilter;
+ * the score decides what is returned.
+ */
+function matchCondition(columns) {
+    const matches = columns.map(column =>
+        `lower(${column}) LIKE $2 ESCAPE '\\' OR lower(${column}) % $1 OR $1 <% lower(${column})`
+    );
+    return `(${matches.join(' OR ')})`;
+}
+
+/**
+ * SQL expression: the weighted score of one field
+ */
+function fieldScore(column, weight) {
+    return `(${weight} * CASE
+        WHEN lower(${column}) = $1 THEN 1.0
+        WHEN lower(${column}) LIKE $3 ESCAPE '\\' THEN 0.9
+        WHEN lower(${column}) LIKE $2 ESCAPE '\\' THEN 0.75
+        ELSE GREATEST(similarity(lower(${column}), $1), word_similarity($1, lower(${column})))
+    END)`;
+}
+
+/**
+ * SQL expression: the best weighted score over { column: weight }.
+ * NULL columns are skipped; rows with no non-null field score 0.
+ */
+function scoreExpression(fields) {
+    const scores = Object.entries(fields).map(([column, weight]) => fieldScore(column, weight));
+    return `COALESCE(GREATEST(${scores.join(', ')}), 0)::REAL`;
+}
+
+// ============================================
+// HIGHLIGHTING
+// ============================================
+
+/**
+ * pg_trgm's trigrams of one word: lowercased and padded with two spaces
+ * in front and one behind
+ */
+function trigrams(word) {
+    const padded = `  ${word.toLowerCase()} `;
+    const set = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        set.add(padded.slice(i, i + 3));
+    }
+    return set;
+}
+
+/**
+ * Share of the query word's trigrams that also occur in `word`
+ */
+function coverage(queryWord, word) {
+    const wanted = trigrams(queryWord);
+    const present = trigrams(word);
+    let shared = 0;
+    for (const t of wanted) {
+        if (present.has(t)) shared++;
+    }
+    return shared / wanted.size;
+}
+
+/**
+ * [start, end) character ranges of `value` that match the query: literal
+ * occurrences of the whole query, or else words similar to a query word
+ */
+function matchRanges(value, q) {
+    const haystack = value.toLowerCase();
+    const needle = q.trim().toLowerCase();
+    const ranges = [];
+
+    let index = needle ? haystack.indexOf(needle) : -1;
+    while (index !== -1) {
+        ranges.push([index, index + needle.length]);
+        index = haystack.indexOf(needle, index + needle.length);
+    }
+    if (ranges.length > 0) {
+        return ranges;
+    }
+
+    const queryWords = needle.match(/[\p{L}\p{N}]+/gu) || [];
+    for (const match of value.matchAll(/[\p{L}\p{N}]+/gu)) {
+        if (queryWords.some(word => coverage(word, match[0]) >= HIGHLIGHT_COVERAGE)) {
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Per-field highlights for a result row: [{ field, value, ranges }] for
+ * every listed field that matched
+ */
+function highlight(row, fields, q) {
+    const highlights = [];
+    for (const field of fields) {
+        const value = row[field];
+        if (value === null || value === undefined) continue;
+
+        const ranges = matchRanges(String(value), q);
+        if (ranges.length > 0) {
+            highlights.push({ field, value: String(value), ranges });
+        }
+    }
+    return highlights;
+}
+
+module.exports = {
+    MIN_SCORE,
+    searchParams,
+    applyThresholds,
+    matchCondition,
+    scoreExpression,
+    highlight
+};
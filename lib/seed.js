@@ -0,0 +1,536 @@
+const { hashIp } = require('./privacy');
+
+// ============================================
+// SYNTHETIC DATASET
+// ============================================
+//
+// Generates users, rooms, sessions, room snapshots, profile views and activity
+// log entries that look like a few weeks of tracking. Everything is drawn from
+// a seeded PRNG and laid out relative to `end`, so the same seed and end time
+// produce the same rows (and, on an empty database, the same serial ids).
+
+const DEFAULTS = {
+    seed: 1,
+    users: 500,
+    rooms: 60,
+    days: 14,
+    snapshotMinutes: 30
+};
+
+const LANGUAGES = [
+    ['English', 40], ['Spanish', 10], ['French', 7], ['German', 6], ['Arabic', 6],
+    ['Japanese', 5], ['Russian', 5], ['Portuguese', 4], ['Korean', 4], ['Chinese', 4],
+    ['Italian', 3], ['Turkish', 3], ['Vietnamese', 2], ['Hindi', 1]
+];
+
+const SKILL_LEVELS = [
+    ['Any Level', 20], ['Beginner', 18], ['Upper Beginner', 12], ['Intermediate', 22],
+    ['Upper Intermediate', 12], ['Advanced', 10], ['Upper Advanced', 6]
+];
+
+const TOPICS = [
+    'Anything', 'Daily conversation', 'Movies and series', 'Music', 'Travel stories',
+    'Job interviews', 'IELTS speaking practice', 'Grammar questions', 'Books', 'Gaming',
+    'Cooking', 'Tech talk', 'Chill and chat', 'Pronunciation practice', 'News of the day'
+];
+
+const NAMES = [
+    'Alex', 'Maria', 'Yuki', 'Omar', 'Lena', 'Carlos', 'Aisha', 'Minh', 'Sofia', 'Ivan',
+    'Chen', 'Fatima', 'Lucas', 'Hana', 'Mehmet', 'Priya', 'Jonas', 'Camila', 'Ahmed', 'Elif',
+    'Tom', 'Nadia', 'Ravi', 'Julia', 'Kenji', 'Sara', 'Diego', 'Anna', 'Bilal', 'Mai'
+];
+
+const USER_AGENTS = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_2) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148',
+    'Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Mobile Safari/537.36',
+    'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0'
+];
+
+// Relative weight of each UTC hour for session starts (evening peak)
+const HOUR_WEIGHTS = [3, 2, 2, 1, 1, 1, 2, 3, 4, 5, 5, 6, 6, 6, 7, 8, 9, 10, 11, 12, 12, 10, 7, 5];
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Tables written by the seeder, children first
+const TABLES = [
+    'webhook_deliveries',
+    'privacy_blocklist',
+    'room_analytics',
+    'room_analytics_state',
+    'profile_views',
+    'user_activity_log',
+    'room_snapshots',
+    'sessions',
+    'rooms',
+    'users'
+];
+
+const INSERT_BATCH_SIZE = 500;
+
+// ============================================
+// RANDOMNESS
+// ============================================
+
+/**
+ * mulberry32: small, fast and good enough for test data
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const random = {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        chance: (p) => next() < p,
+        pick: (items) => items[Math.floor(next() * items.length)],
+        weighted(pairs) {
+            const total = pairs.reduce((sum, [, weight]) => sum + weight, 0);
+            let roll = next() * total;
+            for (const [value, weight] of pairs) {
+                roll -= weight;
+                if (roll < 0) return value;
+            }
+            return pairs[pairs.length - 1][0];
+        },
+        // Log-normal around `median`; sigma controls the tail
+        logNormal(median, sigma) {
+            const u = 1 - next();
+            const v = next();
+            const normal = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+            return median * Math.exp(sigma * normal);
+        }
+    };
+
+    return random;
+}
+
+function pad(number, width) {
+    return String(number).padStart(width, '0');
+}
+
+// ============================================
+// GENERATION
+// ============================================
+
+function generateUsers(random, count, start) {
+    const users = [];
+    const width = String(count).length;
+
+    for (let i = 1; i <= count; i++) {
+        // A few heavy users, some regulars and a long tail of occasional visitors
+        const profile = random.weighted([['casual', 70], ['regular', 25], ['heavy', 5]]);
+        const followers = Math.floor(random.logNormal(profile === 'heavy' ? 400 : 25, 1.4));
+
+        users.push({
+            user_id: `seed-user-${pad(i, width)}`,
+            username: `${random.pick(NAMES)}${random.chance(0.6) ? random.int(1, 999) : ''}`,
+            user_avatar: `https://i.pravatar.cc/150?u=seed-user-${i}`,
+            followers_count: followers,
+            following_count: Math.floor(random.logNormal(40, 1)),
+            friends_count: Math.floor(random.logNormal(10, 1)),
+            supporter_level: random.weighted([[0, 85], [1, 8], [2, 4], [3, 2], [4, 1]]),
+            verification_status: random.chance(0.05) ? 'verified' : 'unverified',
+            profile,
+            sessionsPerDay: { casual: 0.2, regular: 1, heavy: 3 }[profile],
+            created: start
+        });
+    }
+
+    return users;
+}
+
+function generateRooms(random, count, users) {
+    const rooms = [];
+    const width = String(count).length;
+
+    for (let i = 1; i <= count; i++) {
+        const language = random.weighted(LANGUAGES);
+        const creator = random.pick(users);
+        const maxCapacity = random.weighted([[-1, 10], [2, 5], [4, 15], [6, 25], [8, 20], [10, 15], [12, 10]]);
+        const micAllowed = random.chance(0.9);
+
+        rooms.push({
+            room_id: `seed-room-${pad(i, width)}`,
+            channel: 'free4talk',
+            platform: 'web',
+            topic: random.pick(TOPICS),
+            language,
+            second_language: random.chance(0.25) ? random.weighted(LANGUAGES.filter(([l]) => l !== language)) : null,
+            skill_level: random.weighted(SKILL_LEVELS),
+            max_capacity: maxCapacity,
+            allows_unlimited: maxCapacity === -1,
+            is_locked: random.chance(0.05),
+            mic_allowed: micAllowed,
+            mic_required: micAllowed && random.chance(0.2),
+            no_mic: !micAllowed,
+            al_mic: null,
+            url: `https://www.free4talk.com/room/seed-room-${pad(i, width)}`,
+            creator_user_id: creator.user_id,
+            creator_name: creator.username,
+            creator_avatar: creator.user_avatar,
+            creator_is_verified: creator.verification_status === 'verified',
+            // Earlier rooms are more popular
+            weight: 1 / Math.pow(i, 0.8)
+        });
+    }
+
+    return rooms;
+}
+
+function sampleStart(random, start, days) {
+    const day = random.int(0, days - 1);
+    const hour = random.weighted(HOUR_WEIGHTS.map((weight, h) => [h, weight]));
+    return start + day * DAY + hour * HOUR + random.int(0, HOUR - 1);
+}
+
+/**
+ * Each user returns to a handful of favorite rooms, which is what makes
+ * sessions of different users overlap. A user is never in two rooms at once.
+ */
+function generateSessions(random, users, rooms, start, end, days) {
+    const roomWeights = rooms.map(room => [room, room.weight]);
+    const sessions = [];
+
+    for (const user of users) {
+        const favorites = [];
+        const favoriteCount = Math.min(random.int(2, 6), rooms.length);
+        while (favorites.length < favoriteCount) {
+            const room = random.weighted(roomWeights);
+            if (!favorites.includes(room)) favorites.push(room);
+        }
+
+        const count = Math.max(1, Math.round(user.sessionsPerDay * days * (0.5 + random.next())));
+        const starts = [];
+        for (let i = 0; i < count; i++) {
+            starts.push(sampleStart(random, start, days));
+        }
+        starts.sort((a, b) => a - b);
+
+        let free = start;
+        for (let joinedAt of starts) {
+            if (joinedAt < free) {
+                joinedAt = free + random.int(30, 600) * 1000;
+            }
+            if (joinedAt >= end) break;
+
+            const room = random.chance(0.8) ? random.pick(favorites) : random.weighted(roomWeights);
+            const durationSeconds = Math.round(Math.min(4 * 3600, Math.max(60, random.logNormal(20 * 60, 1))));
+            const leftAt = joinedAt + durationSeconds * 1000;
+
+            joinedAt = Math.floor(joinedAt / 1000) * 1000;
+            sessions.push({
+                user_id: user.user_id,
+                room_id: room.room_id,
+                joined_at: joinedAt,
+                // Sessions still running at `end` stay open
+                left_at: leftAt >= end ? null : Math.floor(leftAt / 1000) * 1000,
+                mic_was_on: room.mic_allowed && random.chance(room.mic_required ? 0.95 : 0.6)
+            });
+
+            free = leftAt;
+        }
+    }
+
+    sessions.sort((a, b) => (a.joined_at - b.joined_at) || a.user_id.localeCompare(b.user_id));
+    return sessions;
+}
+
+/**
+ * Replay each room's joins and leaves to assign seat positions and take a
+ * snapshot every `snapshotMinutes` while the room is occupied. A room that
+ * empties gets one closing snapshot with is_active = false.
+ */
+function replayRooms(rooms, sessions, usersById, start, end, snapshotMinutes) {
+    const snapshots = [];
+    const interval = snapshotMinutes * MINUTE;
+
+    for (const room of rooms) {
+        const events = [];
+        for (const session of sessions) {
+            if (session.room_id !== room.room_id) continue;
+            events.push({ time: session.joined_at, join: true, session });
+            if (session.left_at !== null) {
+                events.push({ time: session.left_at, join: false, session });
+            }
+        }
+        events.sort((a, b) => (a.time - b.time) || (a.join - b.join));
+
+        const present = new Map();
+        let wasOpen = false;
+        let index = 0;
+
+        for (let tick = start + interval; tick <= end; tick += interval) {
+            while (index < events.length && events[index].time <= tick) {
+                const { join, session } = events[index++];
+                if (join) {
+                    session.user_position = present.size;
+                    present.set(session.user_id, session);
+                } else {
+                    present.delete(session.user_id);
+                }
+            }
+
+            if (present.size > 0) {
+                const participants = [...present.values()].map((session, position) => ({
+                    user_id: session.user_id,
+                    username: usersById.get(session.user_id).username,
+                    user_avatar: usersById.get(session.user_id).user_avatar,
+                    position,
+                    mic: session.mic_was_on
+                }));
+                snapshots.push({ room_id: room.room_id, snapshot_time: tick, participants, is_active: true });
+                wasOpen = true;
+            } else if (wasOpen) {
+                snapshots.push({ room_id: room.room_id, snapshot_time: tick, participants: [], is_active: false });
+                wasOpen = false;
+            }
+        }
+
+        // Joins after the last tick still need a position
+        while (index < events.length) {
+            const { join, session } = events[index++];
+            if (join) {
+                session.user_position = present.size;
+                present.set(session.user_id, session);
+            } else {
+                present.delete(session.user_id);
+            }
+        }
+
+        const roomSessions = events.filter(e => e.join).map(e => e.session);
+        room.current_users_count = present.size;
+        room.is_active = present.size > 0;
+        room.is_empty = present.size === 0;
+        room.is_full = room.max_capacity > 0 && present.size >= room.max_capacity;
+        room.first_seen = roomSessions.length ? roomSessions[0].joined_at : start;
+        room.last_activity = events.length ? events[events.length - 1].time : start;
+    }
+
+    snapshots.sort((a, b) => (a.snapshot_time - b.snapshot_time) || a.room_id.localeCompare(b.room_id));
+    return snapshots;
+}
+
+/**
+ * Popular (high follower) users get most of the views
+ */
+function generateProfileViews(random, users, start, end, days) {
+    const weights = users.map(user => [user, Math.sqrt(user.followers_count + 1)]);
+    const ips = Array.from({ length: 200 }, (_, i) => `198.51.100.${i + 1}`);
+    const views = [];
+
+    const count = Math.round(users.length * days * 0.5);
+    for (let i = 0; i < count; i++) {
+        views.push({
+            viewed_user_id: random.weighted(weights).user_id,
+            viewer_ip: random.pick(ips),
+            viewer_user_agent: random.pick(USER_AGENTS),
+            viewed_at: start + Math.floor(random.next() * (end - start))
+        });
+    }
+
+    views.sort((a, b) => a.viewed_at - b.viewed_at);
+    return views;
+}
+
+/**
+ * Some users change their name, avatar or follower count during the period;
+ * the users row keeps the latest values
+ */
+function generateActivity(random, users, start, end) {
+    const entries = [];
+
+    for (const user of users) {
+        const changes = random.weighted([[0, 60], [1, 25], [2, 10], [3, 5]]);
+        const times = Array.from({ length: changes }, () => start + Math.floor(random.next() * (end - start)))
+            .sort((a, b) => a - b);
+
+        for (const time of times) {
+            const type = random.weighted([['username_change', 3], ['avatar_change', 2], ['followers_change', 5]]);
+            let data;
+
+            if (type === 'username_change') {
+                const username = `${random.pick(NAMES)}${random.int(1, 999)}`;
+                data = { old: user.username, new: username };
+                user.username = username;
+            } else if (type === 'avatar_change') {
+                const avatar = `https://i.pravatar.cc/150?u=${user.user_id}-${time}`;
+                data = { old: user.user_avatar, new: avatar };
+                user.user_avatar = avatar;
+            } else {
+                const followers = Math.max(0, user.followers_count + random.int(-5, 50));
+                data = { old: user.followers_count, new: followers };
+                user.followers_count = followers;
+            }
+
+            entries.push({ user_id: user.user_id, activity_type: type, activity_data: data, activity_time: time });
+        }
+    }
+
+    entries.sort((a, b) => (a.activity_time - b.activity_time) || a.user_id.localeCompare(b.user_id));
+    return entries;
+}
+
+/**
+ * Build the whole dataset in memory. Options: seed, users, rooms, days,
+ * snapshotMinutes and end (Date, defaults to the current hour).
+ */
+function generateDataset(options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const endDate = config.end ? new Date(config.end) : new Date();
+    const end = Math.floor(endDate.getTime() / HOUR) * HOUR;
+    const start = end - config.days * DAY;
+
+    const random = createRandom(config.seed);
+    const users = generateUsers(random, config.users, start);
+    const rooms = generateRooms(random, config.rooms, users);
+    const activity = generateActivity(random, users, start, end);
+    const sessions = generateSessions(random, users, rooms, start, end, config.days);
+
+    const usersById = new Map(users.map(user => [user.user_id, user]));
+    const snapshots = replayRooms(rooms, sessions, usersById, start, end, config.snapshotMinutes);
+    const profileViews = generateProfileViews(random, users, start, end, config.days);
+
+    // Denormalized counters the API reads straight from users
+    for (const user of users) {
+        user.total_sessions = 0;
+        user.total_duration_seconds = 0;
+        user.profile_views_count = 0;
+        user.first_seen = null;
+        user.last_seen = null;
+    }
+    for (const session of sessions) {
+        const user = usersById.get(session.user_id);
+        user.total_sessions++;
+        if (session.left_at !== null) {
+            user.total_duration_seconds += Math.round((session.left_at - session.joined_at) / 1000);
+        }
+        user.first_seen = user.first_seen === null ? session.joined_at : Math.min(user.first_seen, session.joined_at);
+        user.last_seen = Math.max(user.last_seen || 0, session.left_at === null ? end : session.left_at);
+    }
+    for (const view of profileViews) {
+        usersById.get(view.viewed_user_id).profile_views_count++;
+    }
+
+    return { start: new Date(start), end: new Date(end), users, rooms, sessions, snapshots, profileViews, activity };
+}
+
+// ============================================
+// WRITING
+// ============================================
+
+function toDate(ms) {
+    return ms === null ? null : new Date(ms);
+}
+
+async function insertRows(client, table, columns, rows) {
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+        const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+        const params = [];
+        const tuples = batch.map(row => {
+            const placeholders = row.map(value => {
+                params.push(value);
+                return `$${params.length}`;
+            });
+            return `(${placeholders.join(', ')})`;
+        });
+
+        await client.query(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${tuples.join(', ')}`,
+            params
+        );
+    }
+}
+
+/**
+ * Generate a dataset and write it in one transaction. Refuses to touch a
+ * database that already has users unless `reset` is set, which empties every
+ * tracker table and restarts their ids first.
+ */
+async function seed(db, options = {}) {
+    const data = generateDataset(options);
+
+    await db.transaction(async (client) => {
+        if (options.reset) {
+            await client.query(`TRUNCATE ${TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+        } else {
+            const existing = await client.query('SELECT 1 FROM users LIMIT 1');
+            if (existing.rows.length > 0) {
+                throw new Error('Database already has users; pass --reset to replace all data');
+            }
+        }
+
+        await insertRows(client, 'users', [
+            'user_id', 'username', 'user_avatar', 'followers_count', 'following_count', 'friends_count',
+            'supporter_level', 'verification_status', 'first_seen', 'last_seen', 'profile_views_count',
+            'total_sessions', 'total_duration_seconds', 'created_at'
+        ], data.users.map(u => [
+            u.user_id, u.username, u.user_avatar, u.followers_count, u.following_count, u.friends_count,
+            u.supporter_level, u.verification_status, toDate(u.first_seen ?? u.created), toDate(u.last_seen ?? u.created),
+            u.profile_views_count, u.total_sessions, u.total_duration_seconds, toDate(u.first_seen ?? u.created)
+        ]));
+
+        await insertRows(client, 'rooms', [
+            'room_id', 'channel', 'platform', 'topic', 'language', 'second_language', 'skill_level',
+            'max_capacity', 'allows_unlimited', 'is_locked', 'mic_allowed', 'mic_required', 'no_mic', 'al_mic',
+            'url', 'creator_user_id', 'creator_name', 'creator_avatar', 'creator_is_verified', 'is_active',
+            'is_full', 'is_empty', 'current_users_count', 'first_seen', 'last_activity', 'created_at'
+        ], data.rooms.map(r => [
+            r.room_id, r.channel, r.platform, r.topic, r.language, r.second_language, r.skill_level,
+            r.max_capacity, r.allows_unlimited, r.is_locked, r.mic_allowed, r.mic_required, r.no_mic, r.al_mic,
+            r.url, r.creator_user_id, r.creator_name, r.creator_avatar, r.creator_is_verified, r.is_active,
+            r.is_full, r.is_empty, r.current_users_count, toDate(r.first_seen), toDate(r.last_activity), toDate(r.first_seen)
+        ]));
+
+        await insertRows(client, 'sessions', [
+            'user_id', 'room_id', 'joined_at', 'left_at', 'duration_seconds', 'is_currently_active',
+            'event_type', 'user_position', 'mic_was_on'
+        ], data.sessions.map(s => [
+            s.user_id, s.room_id, toDate(s.joined_at), toDate(s.left_at),
+            s.left_at === null ? null : Math.round((s.left_at - s.joined_at) / 1000),
+            s.left_at === null, s.left_at === null ? 'join' : 'leave', s.user_position ?? 0, s.mic_was_on
+        ]));
+
+        await insertRows(client, 'room_snapshots', [
+            'room_id', 'snapshot_time', 'participants_count', 'participants_json', 'is_active'
+        ], data.snapshots.map(s => [
+            s.room_id, toDate(s.snapshot_time), s.participants.length, JSON.stringify(s.participants), s.is_active
+        ]));
+
+        await insertRows(client, 'profile_views', [
+            'viewed_user_id', 'viewer_ip_hash', 'viewer_user_agent', 'viewed_at'
+        ], data.profileViews.map(v => [v.viewed_user_id, hashIp(v.viewer_ip), v.viewer_user_agent, toDate(v.viewed_at)]));
+
+        await insertRows(client, 'user_activity_log', [
+            'user_id', 'activity_type', 'activity_data', 'activity_time'
+        ], data.activity.map(a => [a.user_id, a.activity_type, JSON.stringify(a.activity_data), toDate(a.activity_time)]));
+    });
+
+    return {
+        start: data.start,
+        end: data.end,
+        users: data.users.length,
+        rooms: data.rooms.length,
+        sessions: data.sessions.length,
+        snapshots: data.snapshots.length,
+        profile_views: data.profileViews.length,
+        activity_log: data.activity.length
+    };
+}
+
+module.exports = {
+    DEFAULTS,
+    createRandom,
+    generateDataset,
+    seed
+};
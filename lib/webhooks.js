@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { webhooks, createRepositories } = require('../repositories');
+const changeFeed = require('./changeFeed');
+
+const EVENT_TYPES = ['join', 'leave', 'room-opened', 'occupancy-change', 'room-closed'];
+
+const DISPATCH_LOCK_KEY = 4042019;
+const DISPATCH_BATCH_SIZE = 500;
+const DELIVERY_BATCH_SIZE = 20;
+const DELIVERY_TIMEOUT_MS = 10000;
+// A claimed delivery is retried if the worker dies before recording the outcome
+const DELIVERY_LEASE_SECONDS = 300;
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+
+// ============================================
+// MATCHING AND SIGNING
+// ============================================
+
+/**
+ * Empty filter lists match everything; user filters never match room-level events
+ */
+function matchesSubscription(subscription, event) {
+    if (!subscription.event_types.includes(event.type)) return false;
+    if (subscription.user_ids.length && !subscription.user_ids.includes(event.user_id)) return false;
+    if (subscription.room_ids.length && !subscription.room_ids.includes(event.room_id)) return false;
+    if (subscription.languages.length && !subscription.languages.includes(event.language)) return false;
+    if (subscription.skill_levels.length && !subscription.skill_levels.includes(event.skill_level)) return false;
+    return true;
+}
+
+/**
+ * Signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+ * Receivers recompute the HMAC with their secret and reject stale timestamps.
+ */
+function sign(secret, body, timestamp) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+function backoffSeconds(attempts) {
+    return Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+}
+
+function buildPayload(event) {
+    return {
+        id: event.id,
+        type: event.type,
+        occurred_at: new Date(event.key.ms).toISOString(),
+        room_id: event.room_id,
+        user_id: event.user_id,
+        data: event.data
+    };
+}
+
+// ============================================
+// DISPATCH: CHANGE FEED -> DELIVERY ROWS
+// ============================================
+
+/**
+ * Fan new change feed events out to matching subscriptions as pending deliveries.
+ * The feed position is stored in webhook_dispatch_state so restarts resume where
+ * they stopped. Returns the number of deliveries queued.
+ */
+async function dispatch() {
+    return db.transaction(async (client) => {
+        const repos = createRepositories(client);
+
+        if (!(await repos.webhooks.tryLockDispatch(DISPATCH_LOCK_KEY))) {
+            return 0;
+        }
+
+        const lastEventId = await repos.webhooks.getDispatchPosition();
+
+        // First run: only events from now on are delivered
+        if (lastEventId === null) {
+            const start = changeFeed.formatKey({ ms: Date.now(), rank: 2, id: Number.MAX_SAFE_INTEGER });
+            await repos.webhooks.setDispatchPosition(start);
+            return 0;
+        }
+
+        const cursor = changeFeed.parseKey(lastEventId);
+        const events = await changeFeed.fetchEvents(cursor, { limit: DISPATCH_BATCH_SIZE, executor: client });
+
+        if (events.length === 0) {
+            return 0;
+        }
+
+        const subscriptions = await repos.webhooks.listActiveFilters();
+
+        let queued = 0;
+        for (const event of events) {
+            for (const subscription of subscriptions) {
+                if (!matchesSubscription(subscription, event)) continue;
+                queued += await repos.webhooks.queueDelivery(subscription.subscription_id, buildPayload(event));
+            }
+        }
+
+        await repos.webhooks.setDispatchPosition(events[events.length - 1].id);
+        return queued;
+    });
+}
+
+// ============================================
+// DELIVERY WORKER
+// ============================================
+
+async function attemptDelivery(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let statusCode = null;
+    let errorMessage = null;
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Free4Talk-Tracker-Webhooks/1.0',
+                'X-Webhook-Id': String(delivery.subscription_id),
+                'X-Webhook-Delivery': String(delivery.delivery_id),
+                'X-Webhook-Event': delivery.event_type,
+                'X-Webhook-Signature': sign(delivery.secret, body, timestamp)
+            },
+            body,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+        statusCode = response.status;
+        if (!response.ok) {
+            errorMessage = `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        errorMessage = error.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+
+    if (!errorMessage) {
+        await webhooks.markDelivered(delivery.delivery_id, { attempts, statusCode });
+        return true;
+    }
+
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    await webhooks.markAttemptFailed(delivery.delivery_id, {
+        attempts,
+        statusCode,
+        error: errorMessage.substring(0, 500),
+        retryInSeconds: exhausted ? null : backoffSeconds(attempts)
+    });
+    return false;
+}
+
+/**
+ * Claim due deliveries and POST them
+ */
+async function deliverDue() {
+    const claimed = await webhooks.claimDue(DELIVERY_BATCH_SIZE, DELIVERY_LEASE_SECONDS);
+
+    let delivered = 0;
+    for (const delivery of claimed) {
+        if (await attemptDelivery(delivery)) {
+            delivered++;
+        }
+    }
+    return delivered;
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+let timer = null;
+let running = false;
+
+async function tick() {
+    if (running) return;
+    running = true;
+    try {
+        await dispatch();
+        await deliverDue();
+    } catch (error) {
+        console.error('Webhook worker error:', error.message);
+    } finally {
+        running = false;
+    }
+}
+
+function start() {
+    if (timer) return;
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    timer.unref();
+    tick();
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * Run a dispatch/delivery pass right away (called after ingestion)
+ */
+function poke() {
+    if (timer) {
+        tick();
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    matchesSubscription,
+    sign,
+    dispatch,
+    deliverDue,
+    start,
+    stop,
+    poke
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { apiKeys } = require('../repositories');
+const { rejectIfAuthLimited, recordFailedAuth } = require('./rateLimit');
+
+// ============================================
+// API KEY AUTHENTICATION
+// ============================================
+//
+// authenticate resolves the caller into req.principal:
+//
+//   { type: 'key', key_id, name, scopes, rate_limit_per_minute }   a key from api_keys
+//   { type: 'env', name, scopes }        ADMIN_API_KEY / INGEST_API_KEY from the environment
+//   { type: 'anonymous', scopes }        no key sent; scopes from ANONYMOUS_SCOPES
+//
+// Keys are sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+// A key that does not resolve is rejected outright rather than treated as
+// anonymous, and counts against the client IP's failed-authentication
+// bucket; once that is empty, further keys from the IP get 429 without a
+// lookup. requireScope(scope) then gates individual routers and routes;
+// the admin scope implies every other scope.
+
+const SCOPES = ['read', 'write-views', 'ingest', 'admin'];
+
+const KEY_PREFIX = 'f4t_';
+
+// Resolved keys are remembered briefly; changing a key through the API forgets them at once.
+// Keys that do not resolve are never cached, so the cache holds at most one entry per stored key.
+const KEY_CACHE_TTL_MS = 60 * 1000;
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const ANONYMOUS_SCOPES = (process.env.ANONYMOUS_SCOPES ?? 'read')
+    .split(',')
+    .map(scope => scope.trim())
+    .filter(scope => SCOPES.includes(scope));
+
+const ENV_KEYS = [
+    { envVar: 'ADMIN_API_KEY', scopes: SCOPES },
+    { envVar: 'INGEST_API_KEY', scopes: ['ingest'] }
+];
+
+const keyCache = new Map();
+const lastUsedWrites = new Map();
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * New random key; returns the plaintext with the prefix and hash to store
+ */
+function generateKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, key_prefix: key.slice(0, 12), key_hash: hashKey(key) };
+}
+
+function safeEqual(provided, expected) {
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readKey(req) {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : (req.get('X-API-Key') || '');
+}
+
+function touchLastUsed(keyId) {
+    const now = Date.now();
+    if (now - (lastUsedWrites.get(keyId) || 0) < LAST_USED_INTERVAL_MS) {
+        return;
+    }
+    lastUsedWrites.set(keyId, now);
+
+    apiKeys.touchLastUsed(keyId).catch(error => {
+        console.error('Failed to record API key use:', error.message);
+    });
+}
+
+function resolveEnvKey(key) {
+    for (const { envVar, scopes } of ENV_KEYS) {
+        if (process.env[envVar] && safeEqual(key, process.env[envVar])) {
+            return { type: 'env', name: envVar, scopes };
+        }
+    }
+    return null;
+}
+
+function cachedKey(keyHash) {
+    const cached = keyCache.get(keyHash);
+    if (!cached) {
+        return null;
+    }
+    if (cached.expiresAt <= Date.now()) {
+        keyCache.delete(keyHash);
+        return null;
+    }
+    return cached.principal;
+}
+
+async function lookupKey(keyHash) {
+    const row = await apiKeys.findActiveByHash(keyHash);
+    if (!row) {
+        return null;
+    }
+
+    const principal = {
+        type: 'key',
+        key_id: row.key_id,
+        name: row.name,
+        scopes: row.scopes,
+        rate_limit_per_minute: row.rate_limit_per_minute
+    };
+    keyCache.set(keyHash, { principal, expiresAt: Date.now() + KEY_CACHE_TTL_MS });
+    return principal;
+}
+
+/**
+ * Drop resolved keys after a key was changed or revoked
+ */
+function forgetAllKeys() {
+    keyCache.clear();
+}
+
+async function authenticate(req, res, next) {
+    const key = readKey(req);
+    if (!key) {
+        req.principal = { type: 'anonymous', scopes: ANONYMOUS_SCOPES };
+        return next();
+    }
+
+    try {
+        const keyHash = hashKey(key);
+        let principal = resolveEnvKey(key) || cachedKey(keyHash);
+        if (!principal) {
+            if (rejectIfAuthLimited(req, res)) {
+                return;
+            }
+            principal = await lookupKey(keyHash);
+        }
+        if (!principal) {
+            recordFailedAuth(req);
+            return res.status(401).json({ error: 'Invalid or missing API key' });
+        }
+
+        if (principal.type === 'key') {
+            touchLastUsed(principal.key_id);
+        }
+
+        req.principal = principal;
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Failed to authenticate', details: error.message });
+    }
+}
+
+function hasScope(principal, scope) {
+    return Boolean(principal) && (principal.scopes.includes(scope) || principal.scopes.includes('admin'));
+}
+
+/**
+ * 401 for anonymous callers without the scope, 403 for keys without it
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (hasScope(req.principal, scope)) {
+            return next();
+        }
+
+        if (!req.principal || req.principal.type === 'anonymous') {
+            return res.status(401).json({ error: 'Invalid or missing API key', required_scope: scope });
+        }
+        res.status(403).json({ error: 'API key lacks the required scope', required_scope: scope });
+    };
+}
+
+module.exports = {
+    SCOPES,
+    generateKey,
+    authenticate,
+    requireScope,
+    forgetAllKeys
+};
@@ -0,0 +1,97 @@
+const resultCache = require('../lib/cache');
+
+// ============================================
+// RESPONSE CACHING
+// ============================================
+//
+// cached(ttlSeconds) serves a route's successful JSON responses from
+// lib/cache for ttlSeconds. Mount it after validate() so the key is built
+// from the coerced query (defaults filled in, keys sorted) and equivalent
+// URLs share an entry. Responses carry:
+//
+//   ETag            hash of the body; If-None-Match with it answers 304
+//   Cache-Control   max-age = seconds left on the entry; public for anonymous
+//                   callers, private when the request carried an API key
+//   Vary            Authorization, X-API-Key
+//   X-Cache         HIT | MISS | COALESCED
+//
+// Error responses are never cached.
+
+function cacheKey(req) {
+    const query = Object.keys(req.query)
+        .sort()
+        .map(key => `${key}=${JSON.stringify(req.query[key])}`)
+        .join('&');
+    return `${req.baseUrl}${req.path}?${query}`;
+}
+
+function sendEntry(req, res, entry, outcome, send = res.send.bind(res)) {
+    const maxAge = Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+
+    // Shared caches must not hand a keyed response to other callers
+    const visibility = req.principal && req.principal.type !== 'anonymous' ? 'private' : 'public';
+
+    res.set({
+        'ETag': entry.etag,
+        'Cache-Control': `${visibility}, max-age=${maxAge}`,
+        'X-Cache': outcome
+    });
+    res.vary('Authorization');
+    res.vary('X-API-Key');
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    res.type('json');
+    return send(entry.json);
+}
+
+function cached(ttlSeconds) {
+    return async (req, res, next) => {
+        const key = cacheKey(req);
+        const route = `${req.baseUrl}${req.route.path}`;
+
+        const hit = resultCache.get(key);
+        if (hit) {
+            resultCache.record(route, 'hits');
+            return sendEntry(req, res, hit, 'HIT');
+        }
+
+        const inFlight = resultCache.waitFor(key);
+        if (inFlight) {
+            const entry = await inFlight;
+            if (entry) {
+                resultCache.record(route, 'coalesced');
+                return sendEntry(req, res, entry, 'COALESCED');
+            }
+            // The request we waited on failed; compute our own answer uncached
+            return next();
+        }
+
+        resultCache.record(route, 'misses');
+        const settle = resultCache.begin(key);
+        const generation = resultCache.currentGeneration();
+
+        const json = res.json.bind(res);
+        const send = res.send.bind(res);
+        res.json = (body) => {
+            if (res.statusCode !== 200) {
+                settle(null);
+                return json(body);
+            }
+
+            const entry = resultCache.set(key, route, body, ttlSeconds, generation);
+            settle(entry);
+            return sendEntry(req, res, entry, 'MISS', send);
+        };
+
+        // Handlers that end the response any other way release waiting requests too
+        res.on('finish', () => settle(null));
+        res.on('close', () => settle(null));
+
+        next();
+    };
+}
+
+module.exports = { cached };
@@ -0,0 +1,126 @@
+// ============================================
+// TOKEN BUCKET RATE LIMITING
+// ============================================
+//
+// Each API key has a bucket of its own; requests without a key share one
+// bucket per client IP. Keyed requests also draw from a per-IP bucket of
+// their own, so one client cannot multiply its limit by cycling keys, and
+// every IP has a small bucket for failed authentication that authenticate
+// checks before looking a key up. A bucket holds up to `limit` tokens and
+// refills at `limit` tokens per minute; every request takes one. Responses
+// carry, for the bucket with the fewest tokens left,
+//
+//   RateLimit-Policy     <limit>;w=60
+//   RateLimit-Limit      bucket size
+//   RateLimit-Remaining  tokens left
+//   RateLimit-Reset      seconds until the bucket is full again
+//
+// and an empty bucket answers 429 with Retry-After. Buckets live in this
+// process only. Keys from the environment are not limited.
+
+const WINDOW_SECONDS = 60;
+
+const KEY_LIMIT = parseInt(process.env.RATE_LIMIT_KEY_PER_MINUTE) || 600;
+const IP_LIMIT = parseInt(process.env.RATE_LIMIT_IP_PER_MINUTE) || 60;
+const KEYED_IP_LIMIT = parseInt(process.env.RATE_LIMIT_KEYED_IP_PER_MINUTE) || KEY_LIMIT;
+const AUTH_FAILURE_LIMIT = parseInt(process.env.RATE_LIMIT_AUTH_FAILURES_PER_MINUTE) || 10;
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const buckets = new Map();
+
+/**
+ * Refill the bucket for the time passed and, when `cost` is set, try to take
+ * that many tokens
+ */
+function take(id, limit, now = Date.now(), cost = 1) {
+    const ratePerMs = limit / (WINDOW_SECONDS * 1000);
+    const bucket = buckets.get(id) || { tokens: limit, updatedAt: now };
+
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+        bucket.tokens -= cost;
+    }
+    buckets.set(id, bucket);
+
+    return {
+        id,
+        limit,
+        allowed,
+        remaining: Math.floor(bucket.tokens),
+        resetSeconds: Math.ceil((limit - bucket.tokens) / ratePerMs / 1000),
+        retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / ratePerMs / 1000)
+    };
+}
+
+// Full buckets carry no state worth keeping
+const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [id, bucket] of buckets) {
+        if (now - bucket.updatedAt > WINDOW_SECONDS * 1000) {
+            buckets.delete(id);
+        }
+    }
+}, SWEEP_INTERVAL_MS);
+sweeper.unref();
+
+function sendLimited(res, result) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    res.status(429).json({ error: 'Rate limit exceeded', retry_after_seconds: result.retryAfterSeconds });
+}
+
+function rateLimit(req, res, next) {
+    const principal = req.principal || { type: 'anonymous' };
+    if (principal.type === 'env') {
+        return next();
+    }
+
+    // Checked before taking from either bucket, so a refused request costs nothing
+    const limits = principal.type === 'key'
+        ? [[`key:${principal.key_id}`, principal.rate_limit_per_minute || KEY_LIMIT], [`keyed-ip:${req.ip}`, KEYED_IP_LIMIT]]
+        : [[`ip:${req.ip}`, IP_LIMIT]];
+
+    const now = Date.now();
+    const peeked = limits.map(([id, limit]) => take(id, limit, now, 0));
+    const blocked = peeked.find(result => !result.allowed);
+    const results = blocked ? peeked : limits.map(([id, limit]) => take(id, limit, now));
+    const tightest = blocked || results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+    res.set({
+        'RateLimit-Policy': `${tightest.limit};w=${WINDOW_SECONDS}`,
+        'RateLimit-Limit': String(tightest.limit),
+        'RateLimit-Remaining': String(tightest.remaining),
+        'RateLimit-Reset': String(tightest.resetSeconds)
+    });
+
+    if (blocked) {
+        return sendLimited(res, blocked);
+    }
+
+    next();
+}
+
+/**
+ * 429 and true when the client IP has used up its failed-authentication
+ * allowance; authenticate calls this before looking a key up
+ */
+function rejectIfAuthLimited(req, res) {
+    const result = take(`auth-fail:${req.ip}`, AUTH_FAILURE_LIMIT, Date.now(), 0);
+    if (result.allowed) {
+        return false;
+    }
+    sendLimited(res, result);
+    return true;
+}
+
+/**
+ * Charge a key that did not resolve to the client IP
+ */
+function recordFailedAuth(req) {
+    take(`auth-fail:${req.ip}`, AUTH_FAILURE_LIMIT);
+}
+
+module.exports = { rateLimit, rejectIfAuthLimited, recordFailedAuth };
@@ -0,0 +1,208 @@
+// ============================================
+// DECLARATIVE REQUEST VALIDATION
+// ============================================
+//
+// validate({ params: {...}, query: {...} }) checks and coerces req.params and
+// req.query against a per-route schema before the handler runs. Each field is
+// described by a rule:
+//
+//   { type: 'int', min: 1, max: 100, default: 20 }
+//   { type: 'number', min: 0 }
+//   { type: 'string', maxLength: 64, enum: ['a', 'b'], pattern: /^\w+$/ }
+//   { type: 'string', trim: true }                 // surrounding whitespace dropped before the checks
+//   { type: 'boolean', default: false }            // 'true' / 'false' / '1' / '0'
+//   { type: 'date' }                               // anything Date can parse -> ISO string
+//   { type: 'timezone' }                           // IANA name such as Europe/Berlin
+//   { type: 'list', of: { type: 'string' }, maxItems: 10 }   // "a,b,c" -> ['a', 'b', 'c']
+//   { ..., required: true }
+//
+// Coerced values replace the raw strings, so handlers read typed values from
+// req.query / req.params. Unknown query keys are passed through untouched.
+// Any failure answers 400 with every offending field:
+//
+//   { error: 'Invalid request parameters',
+//     details: [{ location: 'query', field: 'limit', message: '...', value: 'abc' }] }
+
+function coerceValue(rule, raw) {
+    switch (rule.type) {
+        case 'int': {
+            if (!/^-?\d+$/.test(String(raw).trim())) {
+                return { error: 'must be an integer' };
+            }
+            const value = parseInt(raw, 10);
+            if (!Number.isSafeInteger(value)) {
+                return { error: 'is out of range' };
+            }
+            return { value };
+        }
+
+        case 'number': {
+            const value = Number(raw);
+            if (String(raw).trim() === '' || !Number.isFinite(value)) {
+                return { error: 'must be a number' };
+            }
+            return { value };
+        }
+
+        case 'boolean': {
+            const normalized = String(raw).toLowerCase();
+            if (normalized === 'true' || normalized === '1') return { value: true };
+            if (normalized === 'false' || normalized === '0') return { value: false };
+            return { error: 'must be true or false' };
+        }
+
+        case 'date': {
+            const date = new Date(raw);
+            if (String(raw).trim() === '' || Number.isNaN(date.getTime())) {
+                return { error: 'must be a valid date or timestamp' };
+            }
+            return { value: date.toISOString() };
+        }
+
+        case 'timezone': {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: String(raw) });
+                return { value: String(raw) };
+            } catch (e) {
+                return { error: 'must be an IANA time zone name such as Europe/Berlin' };
+            }
+        }
+
+        case 'list': {
+            const parts = (Array.isArray(raw) ? raw : String(raw).split(','))
+                .map(part => String(part).trim())
+                .filter(part => part.length > 0);
+            if (rule.maxItems !== undefined && parts.length > rule.maxItems) {
+                return { error: `must have at most ${rule.maxItems} items` };
+            }
+            const values = [];
+            for (const part of parts) {
+                const item = checkRule(rule.of || { type: 'string' }, part);
+                if (item.error) {
+                    return { error: `item "${part}" ${item.error}` };
+                }
+                values.push(item.value);
+            }
+            return { value: values };
+        }
+
+        case 'string':
+        default:
+            if (typeof raw !== 'string') {
+                return { error: 'must be a single string value' };
+            }
+            return { value: rule.trim ? raw.trim() : raw };
+    }
+}
+
+function checkRule(rule, raw) {
+    const { value, error } = coerceValue(rule, raw);
+    if (error) {
+        return { error };
+    }
+
+    if (rule.type === 'int' || rule.type === 'number') {
+        if (rule.min !== undefined && value < rule.min) {
+            return { error: rule.max !== undefined ? `must be between ${rule.min} and ${rule.max}` : `must be at least ${rule.min}` };
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            return { error: rule.min !== undefined ? `must be between ${rule.min} and ${rule.max}` : `must be at most ${rule.max}` };
+        }
+    }
+
+    if (rule.type === 'string' || rule.type === undefined) {
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            return { error: `must be at least ${rule.minLength} characters` };
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return { error: `must be at most ${rule.maxLength} characters` };
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return { error: 'has an invalid format' };
+        }
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { error: `must be one of: ${rule.enum.join(', ')}` };
+    }
+
+    return { value };
+}
+
+function checkSection(location, schema, source, errors) {
+    const result = { ...source };
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = source[field];
+
+        if (raw === undefined || raw === '') {
+            if (rule.required) {
+                errors.push({ location, field, message: 'is required' });
+            } else if (rule.default !== undefined) {
+                result[field] = rule.default;
+            } else {
+                delete result[field];
+            }
+            continue;
+        }
+
+        // ?a=1&a=2 arrives as an array; only list fields accept that
+        if (Array.isArray(raw) && rule.type !== 'list') {
+            errors.push({ location, field, message: 'must be given only once', value: raw });
+            continue;
+        }
+
+        const { value, error } = checkRule(rule, raw);
+        if (error) {
+            errors.push({ location, field, message: error, value: raw });
+        } else {
+            result[field] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Build the middleware for one route's schema
+ */
+function validate(schema) {
+    return (req, res, next) => {
+        const errors = [];
+
+        const params = schema.params ? checkSection('params', schema.params, req.params, errors) : req.params;
+        const query = schema.query ? checkSection('query', schema.query, req.query, errors) : req.query;
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid request parameters',
+                details: errors
+            });
+        }
+
+        req.params = params;
+        req.query = query;
+        next();
+    };
+}
+
+// ============================================
+// SHARED RULES
+// ============================================
+
+const rules = {
+    userId: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    roomId: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+    limit: (defaultValue, max = 500) => ({ type: 'int', min: 1, max, default: defaultValue }),
+    offset: { type: 'int', min: 0, max: 100000, default: 0 },
+    cursor: { type: 'string', maxLength: 512 },
+    days: (defaultValue) => ({ type: 'int', min: 1, max: 3650, default: defaultValue }),
+    hours: (defaultValue) => ({ type: 'int', min: 1, max: 24 * 90, default: defaultValue }),
+    searchQuery: { type: 'string', trim: true, maxLength: 100 },
+    filterValue: { type: 'string', maxLength: 100 },
+    flag: (defaultValue) => ({ type: 'boolean', default: defaultValue }),
+    date: { type: 'date' },
+    timeZone: { type: 'timezone', default: 'UTC' }
+};
+
+module.exports = { validate, rules };
@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS room_analytics;
+DROP TABLE IF EXISTS profile_views;
+DROP TABLE IF EXISTS user_activity_log;
+DROP TABLE IF EXISTS room_snapshots;
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS rooms;
+DROP TABLE IF EXISTS users;
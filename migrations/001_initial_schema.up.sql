@@ -0,0 +1,130 @@
+-- ============================================
+-- 001 - INITIAL SCHEMA
+-- Tables read by routes/api.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS users (
+    user_id VARCHAR(64) PRIMARY KEY,
+    username VARCHAR(255),
+    user_avatar TEXT,
+    followers_count INTEGER DEFAULT 0,
+    following_count INTEGER DEFAULT 0,
+    friends_count INTEGER DEFAULT 0,
+    supporter_level INTEGER DEFAULT 0,
+    verification_status VARCHAR(50),
+    first_seen TIMESTAMPTZ DEFAULT NOW(),
+    last_seen TIMESTAMPTZ DEFAULT NOW(),
+    profile_views_count INTEGER DEFAULT 0,
+    total_sessions INTEGER DEFAULT 0,
+    total_duration_seconds BIGINT DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS rooms (
+    room_id VARCHAR(64) PRIMARY KEY,
+    channel VARCHAR(64),
+    platform VARCHAR(50),
+    topic TEXT,
+    language VARCHAR(100),
+    second_language VARCHAR(100),
+    skill_level VARCHAR(50),
+    max_capacity INTEGER,
+    allows_unlimited BOOLEAN DEFAULT false,
+    is_locked BOOLEAN DEFAULT false,
+    mic_allowed BOOLEAN DEFAULT true,
+    mic_required BOOLEAN DEFAULT false,
+    no_mic BOOLEAN DEFAULT false,
+    al_mic INTEGER,
+    url TEXT,
+    creator_user_id VARCHAR(64),
+    creator_name VARCHAR(255),
+    creator_avatar TEXT,
+    creator_is_verified BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    is_full BOOLEAN DEFAULT false,
+    is_empty BOOLEAN DEFAULT true,
+    current_users_count INTEGER DEFAULT 0,
+    first_seen TIMESTAMPTZ DEFAULT NOW(),
+    last_activity TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+    session_id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(64) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    room_id VARCHAR(64) NOT NULL REFERENCES rooms(room_id) ON DELETE CASCADE,
+    joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    left_at TIMESTAMPTZ,
+    duration_seconds INTEGER,
+    is_currently_active BOOLEAN NOT NULL DEFAULT true,
+    event_type VARCHAR(10) NOT NULL DEFAULT 'join',
+    user_position INTEGER,
+    mic_was_on BOOLEAN DEFAULT false,
+    CONSTRAINT sessions_event_type_check CHECK (event_type IN ('join', 'leave'))
+);
+
+CREATE TABLE IF NOT EXISTS room_snapshots (
+    snapshot_id BIGSERIAL PRIMARY KEY,
+    room_id VARCHAR(64) NOT NULL REFERENCES rooms(room_id) ON DELETE CASCADE,
+    snapshot_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    participants_count INTEGER NOT NULL DEFAULT 0,
+    participants_json JSONB NOT NULL DEFAULT '[]'::jsonb,
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE TABLE IF NOT EXISTS user_activity_log (
+    log_id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(64) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    activity_type VARCHAR(50) NOT NULL,
+    activity_data JSONB,
+    activity_time TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS profile_views (
+    view_id BIGSERIAL PRIMARY KEY,
+    viewed_user_id VARCHAR(64) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    viewer_ip VARCHAR(50),
+    viewer_user_agent VARCHAR(255),
+    viewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS room_analytics (
+    room_id VARCHAR(64) NOT NULL REFERENCES rooms(room_id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    total_participants INTEGER DEFAULT 0,
+    unique_participants INTEGER DEFAULT 0,
+    total_sessions INTEGER DEFAULT 0,
+    avg_session_duration_seconds INTEGER DEFAULT 0,
+    peak_concurrent_users INTEGER DEFAULT 0,
+    PRIMARY KEY (room_id, date)
+);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+
+-- /users/:userId looks users up by username as well as id
+CREATE INDEX IF NOT EXISTS idx_users_username_lower ON users (LOWER(username));
+CREATE INDEX IF NOT EXISTS idx_users_followers ON users (followers_count DESC NULLS LAST);
+
+-- /rooms/active, /rooms/trending, /stats/languages
+CREATE INDEX IF NOT EXISTS idx_rooms_active_users ON rooms (current_users_count DESC) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_rooms_language_skill ON rooms (language, skill_level);
+
+-- Per-user history, per-room timeline and user/room session lists
+CREATE INDEX IF NOT EXISTS idx_sessions_user_joined ON sessions (user_id, joined_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sessions_room_joined ON sessions (room_id, joined_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_room_joined ON sessions (user_id, room_id, joined_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sessions_joined ON sessions (joined_at);
+
+-- Current participants and open-session lookups
+CREATE INDEX IF NOT EXISTS idx_sessions_room_active ON sessions (room_id) WHERE is_currently_active = true;
+
+CREATE INDEX IF NOT EXISTS idx_room_snapshots_room_time ON room_snapshots (room_id, snapshot_time DESC);
+
+CREATE INDEX IF NOT EXISTS idx_activity_log_user_time ON user_activity_log (user_id, activity_time DESC);
+
+CREATE INDEX IF NOT EXISTS idx_profile_views_user_time ON profile_views (viewed_user_id, viewed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_profile_views_time ON profile_views (viewed_at);
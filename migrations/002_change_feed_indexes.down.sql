@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_room_snapshots_time;
+DROP INDEX IF EXISTS idx_sessions_room_left_at;
+DROP INDEX IF EXISTS idx_sessions_left_at;
@@ -0,0 +1,8 @@
+-- ============================================
+-- 002 - CHANGE FEED INDEXES
+-- /api/stream reads leaves by left_at and snapshots across all rooms by time
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_sessions_left_at ON sessions (left_at) WHERE left_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sessions_room_left_at ON sessions (room_id, left_at) WHERE left_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_room_snapshots_time ON room_snapshots (snapshot_time);
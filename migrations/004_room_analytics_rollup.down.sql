@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS room_analytics_state;
+DROP INDEX IF EXISTS idx_sessions_updated_at;
+ALTER TABLE sessions DROP COLUMN IF EXISTS updated_at;
@@ -0,0 +1,18 @@
+-- ============================================
+-- 004 - ROOM ANALYTICS ROLLUP
+-- lib/rollup.js recomputes the room_analytics days touched by sessions
+-- written since its last run
+-- ============================================
+
+-- Existing rows get the migration time, so the first rollup run covers all history
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_sessions_updated_at ON sessions (updated_at);
+
+-- Start time of the last completed rollup run
+CREATE TABLE IF NOT EXISTS room_analytics_state (
+    id INTEGER PRIMARY KEY DEFAULT 1,
+    watermark TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT room_analytics_state_single_row CHECK (id = 1)
+);
@@ -0,0 +1,23 @@
+-- ============================================
+-- 005 - API KEYS
+-- Keys are stored as SHA-256 hashes; the plaintext is shown once on creation
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    key_id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    -- First characters of the key, to recognise it in listings
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT ARRAY['read'],
+    -- Token bucket refill per minute; NULL uses RATE_LIMIT_KEY_PER_MINUTE
+    rate_limit_per_minute INTEGER,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    CONSTRAINT api_keys_hash_unique UNIQUE (key_hash),
+    CONSTRAINT api_keys_scopes_check CHECK (scopes <@ ARRAY['read', 'write-views', 'ingest', 'admin']),
+    CONSTRAINT api_keys_rate_limit_check CHECK (rate_limit_per_minute IS NULL OR rate_limit_per_minute > 0)
+);
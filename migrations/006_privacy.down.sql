@@ -0,0 +1,3 @@
+ALTER TABLE profile_views DROP COLUMN IF EXISTS viewer_ip_hash;
+ALTER TABLE profile_views ADD COLUMN IF NOT EXISTS viewer_ip VARCHAR(50);
+DROP TABLE IF EXISTS privacy_blocklist;
@@ -0,0 +1,19 @@
+-- ============================================
+-- 006 - PRIVACY CONTROLS
+-- Opt-out blocklist, erasure bookkeeping and hashed viewer IPs
+-- ============================================
+
+-- Users who opted out or were erased. No foreign key: the entry has to
+-- outlive the users row so the user is never collected again.
+CREATE TABLE IF NOT EXISTS privacy_blocklist (
+    user_id VARCHAR(64) PRIMARY KEY,
+    reason TEXT,
+    status VARCHAR(16) NOT NULL DEFAULT 'opted-out',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    erased_at TIMESTAMPTZ,
+    CONSTRAINT privacy_blocklist_status_check CHECK (status IN ('opted-out', 'deleted', 'anonymized'))
+);
+
+-- Raw viewer IPs are dropped; from now on only keyed hashes are stored
+ALTER TABLE profile_views DROP COLUMN IF EXISTS viewer_ip;
+ALTER TABLE profile_views ADD COLUMN IF NOT EXISTS viewer_ip_hash CHAR(64);
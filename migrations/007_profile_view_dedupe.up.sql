@@ -0,0 +1,19 @@
+-- ============================================
+-- 007 - PROFILE VIEW DEDUPLICATION
+-- Per-viewer dedupe lookups and a consistent profile_views_count
+-- ============================================
+
+-- "Has this viewer seen this profile within the dedupe window?"
+CREATE INDEX IF NOT EXISTS idx_profile_views_dedupe
+    ON profile_views (viewed_user_id, viewer_ip_hash, viewed_at DESC);
+
+-- The counter was never maintained by the API; start from the stored rows
+UPDATE users u
+SET profile_views_count = COALESCE(pv.views, 0)
+FROM (
+    SELECT users.user_id, COUNT(profile_views.view_id) as views
+    FROM users
+    LEFT JOIN profile_views ON profile_views.viewed_user_id = users.user_id
+    GROUP BY users.user_id
+) pv
+WHERE pv.user_id = u.user_id AND u.profile_views_count IS DISTINCT FROM COALESCE(pv.views, 0);
@@ -0,0 +1,7 @@
+-- ============================================
+-- 008 - FUZZY SEARCH
+-- Trigram similarity for typo-tolerant user and room search.
+-- Needs a role allowed to create the pg_trgm extension.
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
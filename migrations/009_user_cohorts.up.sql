@@ -0,0 +1,6 @@
+-- ============================================
+-- 009 - USER COHORTS
+-- Cohort queries select users by when they were first seen
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_users_first_seen ON users (first_seen);
@@ -0,0 +1,8 @@
+-- ============================================
+-- 010 - ROOM CREATORS
+-- Creator profiles list a user's rooms, most recently active first
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_rooms_creator
+    ON rooms (creator_user_id, last_activity DESC)
+    WHERE creator_user_id IS NOT NULL;
@@ -0,0 +1,8 @@
+-- ============================================
+-- 011 - USER ALIASES
+-- /users/:userId also finds users by a username they have since changed
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_activity_log_former_username
+    ON user_activity_log (LOWER(activity_data->>'old'))
+    WHERE activity_type = 'username_change';
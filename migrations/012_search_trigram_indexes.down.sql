@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_rooms_creator_name_trgm;
+DROP INDEX IF EXISTS idx_rooms_second_language_trgm;
+DROP INDEX IF EXISTS idx_rooms_language_trgm;
+DROP INDEX IF EXISTS idx_rooms_topic_trgm;
+DROP INDEX IF EXISTS idx_users_user_id_trgm;
+DROP INDEX IF EXISTS idx_users_username_trgm;
@@ -0,0 +1,13 @@
+-- ============================================
+-- 012 - SEARCH TRIGRAM INDEXES
+-- Let search narrow rows with LIKE, % and <% instead of scoring whole
+-- tables (see lib/search.js)
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_users_username_trgm ON users USING gin (lower(username) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_users_user_id_trgm ON users USING gin (lower(user_id) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_rooms_topic_trgm ON rooms USING gin (lower(topic) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_rooms_language_trgm ON rooms USING gin (lower(language) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_rooms_second_language_trgm ON rooms USING gin (lower(second_language) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_rooms_creator_name_trgm ON rooms USING gin (lower(creator_name) gin_trgm_ops);
@@ -0,0 +1,199 @@
+// A room-day is the UTC calendar day; these turn a DATE into its bounds
+const DAY_START = `(t.date::timestamp AT TIME ZONE 'UTC')`;
+const DAY_END = `((t.date + 1)::timestamp AT TIME ZONE 'UTC')`;
+
+/**
+ * Data access for the room_analytics daily rollup and its watermark
+ */
+class AnalyticsRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Take a transaction-scoped advisory lock so rollups run one after another
+     */
+    async lockForTransaction(lockKey) {
+        await this.db.query('SELECT pg_advisory_xact_lock($1)', [lockKey]);
+    }
+
+    /**
+     * Start time of the last completed run (null before the first one) and
+     * the database clock, which session updated_at values are stamped with
+     */
+    async getWatermark() {
+        const result = await this.db.query(
+            'SELECT NOW() as now, (SELECT watermark FROM room_analytics_state WHERE id = 1) as watermark'
+        );
+        return result.rows[0];
+    }
+
+    async setWatermark(watermark) {
+        await this.db.query(
+            `INSERT INTO room_analytics_state (id, watermark, updated_at)
+             VALUES (1, $1, NOW())
+             ON CONFLICT (id) DO UPDATE SET watermark = EXCLUDED.watermark, updated_at = NOW()`,
+            [watermark]
+        );
+    }
+
+    /**
+     * Room-days overlapped by sessions written after `since` (all of them
+     * when `since` is null), oldest first
+     */
+    async listDaysTouchedSince(since) {
+        const query = `
+            SELECT DISTINCT s.room_id, d.day::date as date
+            FROM sessions s
+            CROSS JOIN LATERAL generate_series(
+                date_trunc('day', s.joined_at AT TIME ZONE 'UTC'),
+                COALESCE(s.left_at, NOW()) AT TIME ZONE 'UTC',
+                INTERVAL '1 day'
+            ) as d(day)
+            WHERE $1::timestamptz IS NULL OR s.updated_at > $1
+            ORDER BY date ASC, room_id ASC
+        `;
+
+        const result = await this.db.query(query, [since]);
+        return result.rows;
+    }
+
+    /**
+     * Room-days overlapped by one user's sessions, oldest first
+     */
+    async listDaysForUser(userId) {
+        const query = `
+            SELECT DISTINCT s.room_id, d.day::date as date
+            FROM sessions s
+            CROSS JOIN LATERAL generate_series(
+                date_trunc('day', s.joined_at AT TIME ZONE 'UTC'),
+                COALESCE(s.left_at, NOW()) AT TIME ZONE 'UTC',
+                INTERVAL '1 day'
+            ) as d(day)
+            WHERE s.user_id = $1
+            ORDER BY date ASC, room_id ASC
+        `;
+
+        const result = await this.db.query(query, [userId]);
+        return result.rows;
+    }
+
+    /**
+     * Room-days between two dates (inclusive) that have sessions or an
+     * existing row, optionally for one room
+     */
+    async listDaysBetween(fromDate, toDate, { roomId } = {}) {
+        const roomFilter = roomId ? 'AND s.room_id = $3' : '';
+
+        const query = `
+            SELECT DISTINCT room_id, date FROM (
+                SELECT s.room_id, d.day::date as date
+                FROM sessions s
+                CROSS JOIN LATERAL generate_series(
+                    GREATEST(date_trunc('day', s.joined_at AT TIME ZONE 'UTC'), $1::date),
+                    LEAST(COALESCE(s.left_at, NOW()) AT TIME ZONE 'UTC', $2::date),
+                    INTERVAL '1 day'
+                ) as d(day)
+                WHERE s.joined_at < (($2::date + 1)::timestamp AT TIME ZONE 'UTC')
+                    AND COALESCE(s.left_at, NOW()) >= ($1::date::timestamp AT TIME ZONE 'UTC')
+                    ${roomFilter}
+                UNION ALL
+                SELECT room_id, date
+                FROM room_analytics s
+                WHERE date BETWEEN $1 AND $2 ${roomFilter}
+            ) days
+            ORDER BY date ASC, room_id ASC
+        `;
+
+        const params = [fromDate, toDate];
+        if (roomId) params.push(roomId);
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Recompute room_analytics for the given { room_id, date } pairs from
+     * sessions. Sessions spanning midnight are clipped to each day they cover,
+     * so per day:
+     *   total_participants  sessions present at any point of the day
+     *   unique_participants distinct users among them
+     *   total_sessions      sessions that started that day
+     *   avg_session_duration_seconds  average time present within the day
+     *   peak_concurrent_users         highest number present at once
+     * Open sessions count up to now. Days left without sessions lose their row.
+     * Run inside a transaction. Returns the number of rows written.
+     */
+    async rebuildDays(days) {
+        if (days.length === 0) {
+            return 0;
+        }
+
+        const params = [days.map(day => day.room_id), days.map(day => day.date)];
+        const targets = `SELECT DISTINCT room_id, date FROM unnest($1::varchar[], $2::date[]) as t(room_id, date)`;
+
+        await this.db.query(
+            `DELETE FROM room_analytics a
+             USING (${targets}) t
+             WHERE a.room_id = t.room_id AND a.date = t.date`,
+            params
+        );
+
+        const query = `
+            WITH pieces AS (
+                SELECT
+                    t.room_id,
+                    t.date,
+                    s.user_id,
+                    s.joined_at >= ${DAY_START} as started_today,
+                    GREATEST(s.joined_at, ${DAY_START}) as start_at,
+                    LEAST(COALESCE(s.left_at, NOW()), ${DAY_END}) as end_at
+                FROM (${targets}) t
+                JOIN sessions s ON s.room_id = t.room_id
+                WHERE (s.left_at IS NOT NULL OR s.is_currently_active = true)
+                    AND s.joined_at < ${DAY_END}
+                    AND (COALESCE(s.left_at, NOW()) > ${DAY_START} OR s.joined_at >= ${DAY_START})
+            ),
+            levels AS (
+                -- At the same instant leaves apply before joins
+                SELECT
+                    room_id,
+                    date,
+                    SUM(delta) OVER (
+                        PARTITION BY room_id, date ORDER BY time, delta
+                        ROWS UNBOUNDED PRECEDING
+                    ) as level
+                FROM (
+                    SELECT room_id, date, start_at as time, 1 as delta FROM pieces
+                    UNION ALL
+                    SELECT room_id, date, end_at as time, -1 as delta FROM pieces
+                ) events
+            ),
+            peaks AS (
+                SELECT room_id, date, MAX(level) as peak
+                FROM levels
+                GROUP BY room_id, date
+            )
+            INSERT INTO room_analytics (
+                room_id, date, total_participants, unique_participants, total_sessions,
+                avg_session_duration_seconds, peak_concurrent_users
+            )
+            SELECT
+                p.room_id,
+                p.date,
+                COUNT(*),
+                COUNT(DISTINCT p.user_id),
+                COUNT(*) FILTER (WHERE p.started_today),
+                ROUND(AVG(EXTRACT(EPOCH FROM (p.end_at - p.start_at))))::INTEGER,
+                MAX(k.peak)
+            FROM pieces p
+            JOIN peaks k ON k.room_id = p.room_id AND k.date = p.date
+            GROUP BY p.room_id, p.date
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rowCount;
+    }
+}
+
+module.exports = AnalyticsRepository;
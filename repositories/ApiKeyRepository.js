@@ -0,0 +1,92 @@
+const KEY_COLUMNS = `
+    key_id,
+    name,
+    key_prefix,
+    scopes,
+    rate_limit_per_minute,
+    is_active,
+    created_at,
+    updated_at,
+    last_used_at,
+    revoked_at
+`;
+
+/**
+ * Data access for API keys; only hashes of the keys are stored
+ */
+class ApiKeyRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Insert a key from validated column values plus key_prefix / key_hash
+     */
+    async create(values) {
+        const columns = Object.keys(values);
+        const placeholders = columns.map((_, i) => `$${i + 1}`);
+
+        const result = await this.db.query(
+            `INSERT INTO api_keys (${columns.join(', ')})
+             VALUES (${placeholders.join(', ')})
+             RETURNING ${KEY_COLUMNS}`,
+            Object.values(values)
+        );
+        return result.rows[0];
+    }
+
+    async list() {
+        const result = await this.db.query(`SELECT ${KEY_COLUMNS} FROM api_keys ORDER BY key_id ASC`);
+        return result.rows;
+    }
+
+    async findById(keyId) {
+        const result = await this.db.query(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE key_id = $1`, [keyId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * The active key with this hash, or null
+     */
+    async findActiveByHash(keyHash) {
+        const result = await this.db.query(
+            `SELECT ${KEY_COLUMNS} FROM api_keys WHERE key_hash = $1 AND is_active = true`,
+            [keyHash]
+        );
+        return result.rows[0] || null;
+    }
+
+    async update(keyId, values) {
+        const columns = Object.keys(values);
+        const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+
+        const result = await this.db.query(
+            `UPDATE api_keys
+             SET ${assignments.join(', ')}, updated_at = NOW()
+             WHERE key_id = $1
+             RETURNING ${KEY_COLUMNS}`,
+            [keyId, ...Object.values(values)]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Deactivate a key for good; returns the key, or null if it does not exist
+     */
+    async revoke(keyId) {
+        const result = await this.db.query(
+            `UPDATE api_keys
+             SET is_active = false, revoked_at = COALESCE(revoked_at, NOW()), updated_at = NOW()
+             WHERE key_id = $1
+             RETURNING ${KEY_COLUMNS}`,
+            [keyId]
+        );
+        return result.rows[0] || null;
+    }
+
+    async touchLastUsed(keyId) {
+        await this.db.query('UPDATE api_keys SET last_used_at = NOW() WHERE key_id = $1', [keyId]);
+    }
+}
+
+module.exports = ApiKeyRepository;
@@ -0,0 +1,234 @@
+const BLOCKLIST_COLUMNS = 'user_id, reason, status, created_at, erased_at';
+
+/**
+ * Data access for the privacy blocklist, erasure of a user's rows across
+ * the tracked tables and retention of profile viewer details
+ */
+class PrivacyRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // ============================================
+    // BLOCKLIST
+    // ============================================
+
+    async listBlocked() {
+        const result = await this.db.query(
+            `SELECT ${BLOCKLIST_COLUMNS} FROM privacy_blocklist ORDER BY created_at DESC, user_id ASC`
+        );
+        return result.rows;
+    }
+
+    async findBlocked(userId) {
+        const result = await this.db.query(
+            `SELECT ${BLOCKLIST_COLUMNS} FROM privacy_blocklist WHERE user_id = $1`,
+            [userId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * The ids among userIds that are on the blocklist
+     */
+    async listBlockedAmong(userIds) {
+        if (userIds.length === 0) {
+            return [];
+        }
+
+        const result = await this.db.query(
+            'SELECT user_id FROM privacy_blocklist WHERE user_id = ANY($1::varchar[])',
+            [userIds]
+        );
+        return result.rows.map(row => row.user_id);
+    }
+
+    /**
+     * Add or update an entry. An erased user keeps its erased status.
+     */
+    async block(userId, { reason = null, status = 'opted-out' } = {}) {
+        const result = await this.db.query(
+            `INSERT INTO privacy_blocklist (user_id, reason, status, erased_at)
+             VALUES ($1, $2, $3::varchar, CASE WHEN $3::varchar = 'opted-out' THEN NULL ELSE NOW() END)
+             ON CONFLICT (user_id) DO UPDATE SET
+                reason = COALESCE(EXCLUDED.reason, privacy_blocklist.reason),
+                status = CASE WHEN EXCLUDED.status = 'opted-out' THEN privacy_blocklist.status ELSE EXCLUDED.status END,
+                erased_at = COALESCE(EXCLUDED.erased_at, privacy_blocklist.erased_at)
+             RETURNING ${BLOCKLIST_COLUMNS}`,
+            [userId, reason, status]
+        );
+        return result.rows[0];
+    }
+
+    async unblock(userId) {
+        const result = await this.db.query(
+            'DELETE FROM privacy_blocklist WHERE user_id = $1 RETURNING user_id',
+            [userId]
+        );
+        return result.rows.length > 0;
+    }
+
+    // ============================================
+    // ERASURE
+    // ============================================
+    //
+    // Run inside one transaction; each method returns the number of rows it changed.
+
+    /**
+     * Drop the user from snapshot participant lists and head counts
+     */
+    async removeFromSnapshots(userId) {
+        const result = await this.db.query(
+            `UPDATE room_snapshots
+             SET participants_json = (
+                    SELECT COALESCE(jsonb_agg(participant ORDER BY ordinal), '[]'::jsonb)
+                    FROM jsonb_array_elements(participants_json) WITH ORDINALITY as e(participant, ordinal)
+                    WHERE participant->>'user_id' IS DISTINCT FROM $1
+                 ),
+                 participants_count = GREATEST(participants_count - 1, 0)
+             WHERE participants_json @> jsonb_build_array(jsonb_build_object('user_id', $1::text))`,
+            [userId]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * Replace the user in snapshot participant lists with `alias` and no name or avatar
+     */
+    async pseudonymizeSnapshots(userId, alias) {
+        const result = await this.db.query(
+            `UPDATE room_snapshots
+             SET participants_json = (
+                    SELECT jsonb_agg(
+                        CASE WHEN participant->>'user_id' = $1
+                            THEN participant || jsonb_build_object('user_id', $2::text, 'username', NULL, 'user_avatar', NULL)
+                            ELSE participant
+                        END
+                        ORDER BY ordinal
+                    )
+                    FROM jsonb_array_elements(participants_json) WITH ORDINALITY as e(participant, ordinal)
+                 )
+             WHERE participants_json @> jsonb_build_array(jsonb_build_object('user_id', $1::text))`,
+            [userId, alias]
+        );
+        return result.rowCount;
+    }
+
+    async clearRoomCreator(userId) {
+        const result = await this.db.query(
+            `UPDATE rooms
+             SET creator_user_id = NULL, creator_name = NULL, creator_avatar = NULL,
+                 creator_is_verified = false, updated_at = NOW()
+             WHERE creator_user_id = $1`,
+            [userId]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * Take the user out of the head counts of the rooms they are in right now
+     */
+    async leaveActiveRooms(userId) {
+        const result = await this.db.query(
+            `UPDATE rooms
+             SET current_users_count = GREATEST(current_users_count - 1, 0),
+                 is_empty = current_users_count <= 1,
+                 is_full = NOT allows_unlimited AND max_capacity > 0 AND current_users_count - 1 >= max_capacity,
+                 updated_at = NOW()
+             WHERE room_id IN (
+                 SELECT room_id FROM sessions WHERE user_id = $1 AND is_currently_active = true
+             )`,
+            [userId]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * Delete webhook deliveries whose payload is about the user
+     */
+    async deleteWebhookDeliveries(userId) {
+        const result = await this.db.query(
+            `DELETE FROM webhook_deliveries
+             WHERE payload->>'user_id' = $1 OR payload->'data'->>'user_id' = $1`,
+            [userId]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * Replace the user in webhook delivery payloads with `alias` and no name or avatar
+     */
+    async pseudonymizeWebhookDeliveries(userId, alias) {
+        const result = await this.db.query(
+            `UPDATE webhook_deliveries
+             SET payload = payload || jsonb_build_object(
+                    'user_id', $2::text,
+                    'data', COALESCE(payload->'data', '{}'::jsonb)
+                        || jsonb_build_object('user_id', $2::text, 'username', NULL, 'user_avatar', NULL)
+                 )
+             WHERE payload->>'user_id' = $1 OR payload->'data'->>'user_id' = $1`,
+            [userId, alias]
+        );
+        return result.rowCount;
+    }
+
+    async deleteSessions(userId) {
+        const result = await this.db.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+        return result.rowCount;
+    }
+
+    async deleteProfileViews(userId) {
+        const result = await this.db.query('DELETE FROM profile_views WHERE viewed_user_id = $1', [userId]);
+        return result.rowCount;
+    }
+
+    async deleteActivityLog(userId) {
+        const result = await this.db.query('DELETE FROM user_activity_log WHERE user_id = $1', [userId]);
+        return result.rowCount;
+    }
+
+    async deleteUser(userId) {
+        const result = await this.db.query('DELETE FROM users WHERE user_id = $1', [userId]);
+        return result.rowCount;
+    }
+
+    /**
+     * Create `alias` as a nameless copy of the user's counters and move the
+     * user's sessions to it
+     */
+    async moveSessionsToAlias(userId, alias) {
+        await this.db.query(
+            `INSERT INTO users (user_id, first_seen, last_seen, total_sessions, total_duration_seconds)
+             SELECT $2, first_seen, last_seen, total_sessions, total_duration_seconds
+             FROM users
+             WHERE user_id = $1`,
+            [userId, alias]
+        );
+
+        const result = await this.db.query(
+            'UPDATE sessions SET user_id = $2, updated_at = NOW() WHERE user_id = $1',
+            [userId, alias]
+        );
+        return result.rowCount;
+    }
+
+    // ============================================
+    // RETENTION
+    // ============================================
+
+    /**
+     * Clear viewer IP hashes and user agents of views older than retentionDays
+     */
+    async clearViewerDetails(retentionDays) {
+        const result = await this.db.query(
+            `UPDATE profile_views
+             SET viewer_ip_hash = NULL, viewer_user_agent = NULL
+             WHERE viewed_at < NOW() - INTERVAL '1 day' * $1
+                AND (viewer_ip_hash IS NOT NULL OR viewer_user_agent IS NOT NULL)`,
+            [retentionDays]
+        );
+        return result.rowCount;
+    }
+}
+
+module.exports = PrivacyRepository;
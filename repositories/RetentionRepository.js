@@ -0,0 +1,161 @@
+const { notBlocked } = require('../lib/privacy');
+
+// Each user's favorite language: the language of the rooms they have the
+// most sessions in, ties broken alphabetically - the same choice as
+// UserRepository.getFavoriteLanguage
+const FAVORITE_LANGUAGES = `
+    SELECT DISTINCT ON (s.user_id) s.user_id, r.language
+    FROM sessions s
+    JOIN rooms r ON s.room_id = r.room_id
+    GROUP BY s.user_id, r.language
+    ORDER BY s.user_id, COUNT(*) DESC, r.language ASC
+`;
+
+/**
+ * Cohort retention and churn, with users grouped by when they were first seen
+ */
+class RetentionRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Users first seen in [from, to), grouped into cohorts by `period`
+     * ('week' or 'month', UTC). Per cohort:
+     *   users                     cohort size
+     *   retained_users            users with a session at least one interval after first seen
+     *   median_sessions_retained  median total sessions of the retained users
+     *   retention                 [{ offset, eligible, returned }] for offsets 1..offsets:
+     *                             users with a session starting in
+     *                             [first_seen + offset * interval, first_seen + (offset + 1) * interval),
+     *                             out of those for whom that interval is over; users
+     *                             still inside it count towards neither
+     * Blocklisted users are left out. `languages` narrows the cohorts to users
+     * with one of those favorite languages.
+     */
+    async getCohorts({ period, intervalSeconds, offsets, from, to, languages }) {
+        const query = `
+            WITH favorite AS (${FAVORITE_LANGUAGES}),
+            cohort_users AS (
+                SELECT
+                    u.user_id,
+                    u.first_seen,
+                    date_trunc($1, u.first_seen AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' as cohort_start
+                FROM users u
+                LEFT JOIN favorite f ON f.user_id = u.user_id
+                WHERE u.first_seen >= $4 AND u.first_seen < $5
+                    AND ${notBlocked('u.user_id')}
+                    AND ($6::varchar[] IS NULL OR f.language = ANY($6::varchar[]))
+            ),
+            activity AS (
+                SELECT
+                    cu.user_id,
+                    COUNT(s.session_id) as sessions,
+                    array_agg(DISTINCT FLOOR(EXTRACT(EPOCH FROM s.joined_at - cu.first_seen) / $2::int)::int)
+                        FILTER (WHERE s.joined_at >= cu.first_seen + INTERVAL '1 second' * $2::int) as offsets
+                FROM cohort_users cu
+                LEFT JOIN sessions s ON s.user_id = cu.user_id
+                GROUP BY cu.user_id
+            ),
+            summary AS (
+                SELECT
+                    cu.cohort_start,
+                    COUNT(*) as users,
+                    COUNT(*) FILTER (WHERE a.offsets IS NOT NULL) as retained_users,
+                    percentile_cont(0.5) WITHIN GROUP (ORDER BY a.sessions)
+                        FILTER (WHERE a.offsets IS NOT NULL) as median_sessions_retained
+                FROM cohort_users cu
+                JOIN activity a ON a.user_id = cu.user_id
+                GROUP BY cu.cohort_start
+            ),
+            grid AS (
+                SELECT
+                    cu.cohort_start,
+                    k.offset_n,
+                    COUNT(*) FILTER (WHERE cu.first_seen + INTERVAL '1 second' * $2::int * (k.offset_n + 1) <= NOW()) as eligible,
+                    COUNT(*) FILTER (WHERE cu.first_seen + INTERVAL '1 second' * $2::int * (k.offset_n + 1) <= NOW()
+                        AND k.offset_n = ANY(a.offsets)) as returned
+                FROM cohort_users cu
+                JOIN activity a ON a.user_id = cu.user_id
+                CROSS JOIN generate_series(1, $3::int) as k(offset_n)
+                GROUP BY cu.cohort_start, k.offset_n
+            )
+            SELECT
+                s.cohort_start,
+                s.users,
+                s.retained_users,
+                s.median_sessions_retained,
+                json_agg(
+                    json_build_object('offset', g.offset_n, 'eligible', g.eligible, 'returned', g.returned)
+                    ORDER BY g.offset_n
+                ) as retention
+            FROM summary s
+            JOIN grid g ON g.cohort_start = s.cohort_start
+            GROUP BY s.cohort_start, s.users, s.retained_users, s.median_sessions_retained
+            ORDER BY s.cohort_start ASC
+        `;
+
+        const params = [period, intervalSeconds, offsets, from, to, languages || null];
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Regular users - at least minSessions sessions on at least minActiveDays
+     * UTC days - without any activity in the last inactiveDays, most sessions
+     * first. Optionally limited to one cohort ({ period, start }) and to
+     * favorite languages. Rows carry total_count for paging.
+     */
+    async listChurned({ inactiveDays, minSessions, minActiveDays, cohort, languages, limit, offset }) {
+        const query = `
+            WITH favorite AS (${FAVORITE_LANGUAGES}),
+            activity AS (
+                SELECT
+                    user_id,
+                    COUNT(*) as total_sessions,
+                    COUNT(DISTINCT (joined_at AT TIME ZONE 'UTC')::date) as active_days,
+                    MAX(COALESCE(left_at, NOW())) as last_active
+                FROM sessions
+                GROUP BY user_id
+            )
+            SELECT
+                u.user_id,
+                u.username,
+                u.user_avatar,
+                u.first_seen,
+                a.last_active,
+                FLOOR(EXTRACT(EPOCH FROM NOW() - a.last_active) / 86400)::int as days_inactive,
+                a.total_sessions,
+                a.active_days,
+                f.language as favorite_language,
+                COUNT(*) OVER () as total_count
+            FROM users u
+            JOIN activity a ON a.user_id = u.user_id
+            LEFT JOIN favorite f ON f.user_id = u.user_id
+            WHERE a.total_sessions >= $1
+                AND a.active_days >= $2
+                AND a.last_active < NOW() - INTERVAL '1 day' * $3
+                AND ${notBlocked('u.user_id')}
+                AND ($4::varchar[] IS NULL OR f.language = ANY($4::varchar[]))
+                AND ($5::text IS NULL OR date_trunc($5, u.first_seen AT TIME ZONE 'UTC')
+                    = date_trunc($5, $6::timestamptz AT TIME ZONE 'UTC'))
+            ORDER BY a.total_sessions DESC, a.last_active DESC, u.user_id ASC
+            LIMIT $7 OFFSET $8
+        `;
+
+        const params = [
+            minSessions,
+            minActiveDays,
+            inactiveDays,
+            languages || null,
+            cohort ? cohort.period : null,
+            cohort ? cohort.start : null,
+            limit,
+            offset
+        ];
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+}
+
+module.exports = RetentionRepository;
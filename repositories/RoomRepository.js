@@ -0,0 +1,745 @@
+const { keysetCondition, keysetOrder, cursorTimeExpression } = require('../lib/pagination');
+const { stepSeriesQuery } = require('../lib/occupancy');
+const { notBlocked, redactedParticipants, creatorColumn, creatorColumns } = require('../lib/privacy');
+const { MIN_SCORE, searchParams, applyThresholds, matchCondition, scoreExpression } = require('../lib/search');
+const { roomFilterConditions } = require('../lib/roomFilters');
+
+// Seconds a session has lasted so far; open sessions count up to now
+const SESSION_SECONDS = `EXTRACT(EPOCH FROM COALESCE(s.left_at, NOW()) - s.joined_at)`;
+
+/**
+ * Data access for rooms, their snapshots and daily analytics
+ */
+class RoomRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async findById(roomId) {
+        const query = `
+            SELECT
+                room_id,
+                channel,
+                platform,
+                topic,
+                language,
+                second_language,
+                skill_level,
+                max_capacity,
+                allows_unlimited,
+                is_locked,
+                mic_allowed,
+                mic_required,
+                no_mic,
+                al_mic,
+                url,
+                ${creatorColumns()},
+                is_active,
+                is_full,
+                is_empty,
+                current_users_count,
+                first_seen,
+                last_activity,
+                created_at,
+                updated_at
+            FROM rooms
+            WHERE room_id = $1
+        `;
+
+        const result = await this.db.query(query, [roomId]);
+        return result.rows[0] || null;
+    }
+
+    async getStatistics(roomId) {
+        const query = `
+            SELECT
+                COUNT(DISTINCT user_id) as total_unique_participants,
+                COUNT(session_id) as total_sessions,
+                COALESCE(AVG(duration_seconds), 0)::INTEGER as avg_duration_seconds,
+                COALESCE(MAX(duration_seconds), 0) as max_duration_seconds,
+                MIN(joined_at) as first_activity,
+                MAX(COALESCE(left_at, joined_at)) as last_activity,
+                COUNT(CASE WHEN is_currently_active THEN 1 END) as currently_active_users
+            FROM sessions
+            WHERE room_id = $1
+        `;
+        const result = await this.db.query(query, [roomId]);
+        return result.rows[0] || {};
+    }
+
+    /**
+     * Rooms a user has visited with per-room visit totals, most recent first.
+     * `page` is the parsed pagination ({ limit, offset, cursor }); rows carry cursor_time.
+     */
+    async listVisitedByUser(userId, { language, skill_level }, page) {
+        const { whereClause, params } = this._visitedFilter(userId, { language, skill_level });
+
+        const query = `
+            SELECT
+                r.room_id,
+                r.language,
+                r.second_language,
+                r.skill_level,
+                r.topic,
+                r.is_active,
+                r.current_users_count,
+                r.max_capacity,
+                MAX(s.joined_at) as last_visit,
+                MIN(s.joined_at) as first_visit,
+                COUNT(s.session_id) as total_visits,
+                SUM(s.duration_seconds) as total_time_seconds,
+                AVG(s.duration_seconds)::INTEGER as avg_session_duration,
+                ${cursorTimeExpression('MAX(s.joined_at)')} as cursor_time
+            FROM sessions s
+            JOIN rooms r ON s.room_id = r.room_id
+            WHERE ${whereClause}
+            GROUP BY r.room_id, r.language, r.second_language, r.skill_level, r.topic, r.is_active, r.current_users_count, r.max_capacity
+            HAVING ${keysetCondition('MAX(s.joined_at)', 'r.room_id', page.cursor, params)}
+            ORDER BY ${keysetOrder('MAX(s.joined_at)', 'r.room_id', page.cursor)}
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `;
+
+        const result = await this.db.query(query, [...params, page.limit + 1, page.offset]);
+        return result.rows;
+    }
+
+    async countVisitedByUser(userId, { language, skill_level }) {
+        const { whereClause, params } = this._visitedFilter(userId, { language, skill_level });
+
+        const countQuery = `
+            SELECT COUNT(DISTINCT s.room_id) as total
+            FROM sessions s
+            JOIN rooms r ON s.room_id = r.room_id
+            WHERE ${whereClause}
+        `;
+        const result = await this.db.query(countQuery, params);
+        return parseInt(result.rows[0].total);
+    }
+
+    _visitedFilter(userId, { language, skill_level }) {
+        let whereClause = `s.user_id = $1 AND ${notBlocked('s.user_id')}`;
+        const params = [userId];
+
+        if (language) {
+            params.push(language);
+            whereClause += ` AND r.language = $${params.length}`;
+        }
+
+        if (skill_level) {
+            params.push(skill_level);
+            whereClause += ` AND r.skill_level = $${params.length}`;
+        }
+
+        return { whereClause, params };
+    }
+
+    /**
+     * Rooms created by a user with lifetime totals, most recently active
+     * first. unique_visitors leaves out the creator; participant_seconds
+     * counts open sessions up to now. `page` as in listVisitedByUser.
+     */
+    async listCreatedBy(userId, page) {
+        const params = [userId];
+        const keyset = keysetCondition('r.last_activity', 'r.room_id', page.cursor, params);
+
+        const query = `
+            SELECT
+                r.room_id,
+                r.topic,
+                r.language,
+                r.second_language,
+                r.skill_level,
+                r.platform,
+                r.max_capacity,
+                r.is_locked,
+                r.is_active,
+                r.current_users_count,
+                r.first_seen,
+                r.last_activity,
+                COALESCE(t.total_sessions, 0) as total_sessions,
+                COALESCE(t.unique_visitors, 0) as unique_visitors,
+                COALESCE(t.participant_seconds, 0) as participant_seconds,
+                COALESCE(t.avg_session_duration, 0) as avg_session_duration,
+                COALESCE(p.peak_concurrent_users, 0) as peak_concurrent_users,
+                ${cursorTimeExpression('r.last_activity')} as cursor_time
+            FROM rooms r
+            LEFT JOIN LATERAL (
+                SELECT
+                    COUNT(s.session_id) as total_sessions,
+                    COUNT(DISTINCT s.user_id) FILTER (WHERE s.user_id <> r.creator_user_id) as unique_visitors,
+                    SUM(${SESSION_SECONDS})::BIGINT as participant_seconds,
+                    AVG(${SESSION_SECONDS})::INTEGER as avg_session_duration
+                FROM sessions s
+                WHERE s.room_id = r.room_id
+            ) t ON true
+            LEFT JOIN LATERAL (
+                SELECT MAX(peak_concurrent_users) as peak_concurrent_users
+                FROM room_analytics
+                WHERE room_id = r.room_id
+            ) p ON true
+            WHERE r.creator_user_id = $1 AND ${notBlocked('r.creator_user_id')}
+                AND ${keyset}
+            ORDER BY ${keysetOrder('r.last_activity', 'r.room_id', page.cursor)}
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `;
+
+        const result = await this.db.query(query, [...params, page.limit + 1, page.offset]);
+        return result.rows;
+    }
+
+    /**
+     * Lifetime totals over every room a user created, and the creator name,
+     * avatar and verification of their most recently active room. Null when
+     * they have created none.
+     */
+    async getCreatorSummary(userId) {
+        const query = `
+            WITH created AS (
+                SELECT room_id, creator_name, creator_avatar, creator_is_verified, is_active, first_seen, last_activity
+                FROM rooms
+                WHERE creator_user_id = $1 AND ${notBlocked('rooms.creator_user_id')}
+            ),
+            totals AS (
+                SELECT
+                    COUNT(s.session_id) as total_sessions,
+                    COUNT(DISTINCT s.user_id) FILTER (WHERE s.user_id <> $1) as unique_visitors,
+                    COALESCE(SUM(${SESSION_SECONDS}), 0)::BIGINT as participant_seconds
+                FROM sessions s
+                WHERE s.room_id IN (SELECT room_id FROM created)
+            )
+            SELECT
+                latest.creator_name,
+                latest.creator_avatar,
+                latest.creator_is_verified,
+                (SELECT COUNT(*) FROM created) as rooms_created,
+                (SELECT COUNT(*) FROM created WHERE is_active) as active_rooms,
+                t.total_sessions,
+                t.unique_visitors,
+                t.participant_seconds,
+                (SELECT MIN(first_seen) FROM created) as first_room_seen,
+                latest.last_activity
+            FROM (
+                SELECT * FROM created ORDER BY last_activity DESC, room_id ASC LIMIT 1
+            ) latest
+            CROSS JOIN totals t
+        `;
+
+        const result = await this.db.query(query, [userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Creators ranked over the last `days` by:
+     *   visitors   distinct users other than the creator in their rooms
+     *   hours      participant-hours spent in their rooms
+     *   occupancy  average head count while one of their rooms was occupied
+     *   rooms      how many of their rooms had anyone in them
+     * Sessions are clipped to the period; open ones run until now.
+     */
+    async listTopCreators({ by = 'visitors', days, limit }) {
+        const orderBy = {
+            visitors: 'unique_visitors DESC',
+            hours: 'participant_seconds DESC',
+            occupancy: 'avg_occupancy DESC',
+            rooms: 'rooms DESC'
+        }[by];
+
+        const query = `
+            WITH pieces AS (
+                SELECT
+                    s.room_id,
+                    s.user_id,
+                    r.creator_user_id,
+                    GREATEST(s.joined_at, NOW() - INTERVAL '1 day' * $1) as piece_start,
+                    COALESCE(s.left_at, NOW()) as piece_end
+                FROM sessions s
+                JOIN rooms r ON r.room_id = s.room_id
+                WHERE r.creator_user_id IS NOT NULL
+                    AND ${notBlocked('r.creator_user_id')}
+                    AND COALESCE(s.left_at, NOW()) > NOW() - INTERVAL '1 day' * $1
+            ),
+            -- Stretches of time each room had someone in it: a piece starting
+            -- after every earlier piece of its room has ended opens a new one
+            marked AS (
+                SELECT
+                    room_id,
+                    creator_user_id,
+                    piece_start,
+                    piece_end,
+                    CASE WHEN piece_start > MAX(piece_end) OVER (
+                        PARTITION BY room_id ORDER BY piece_start, piece_end
+                        ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+                    ) IS NOT FALSE THEN 1 ELSE 0 END as opens
+                FROM pieces
+            ),
+            stretches AS (
+                SELECT
+                    room_id,
+                    creator_user_id,
+                    piece_start,
+                    piece_end,
+                    SUM(opens) OVER (PARTITION BY room_id ORDER BY piece_start, piece_end ROWS UNBOUNDED PRECEDING) as stretch
+                FROM marked
+            ),
+            occupied AS (
+                SELECT creator_user_id, SUM(seconds) as occupied_seconds
+                FROM (
+                    SELECT creator_user_id, EXTRACT(EPOCH FROM MAX(piece_end) - MIN(piece_start)) as seconds
+                    FROM stretches
+                    GROUP BY creator_user_id, room_id, stretch
+                ) per_stretch
+                GROUP BY creator_user_id
+            ),
+            totals AS (
+                SELECT
+                    creator_user_id,
+                    COUNT(DISTINCT room_id) as rooms,
+                    COUNT(DISTINCT user_id) FILTER (WHERE user_id <> creator_user_id) as unique_visitors,
+                    SUM(EXTRACT(EPOCH FROM piece_end - piece_start)) as participant_seconds
+                FROM pieces
+                GROUP BY creator_user_id
+            ),
+            latest AS (
+                SELECT DISTINCT ON (creator_user_id)
+                    creator_user_id, creator_name, creator_avatar, creator_is_verified
+                FROM rooms
+                WHERE creator_user_id IN (SELECT creator_user_id FROM totals)
+                ORDER BY creator_user_id, last_activity DESC, room_id ASC
+            ),
+            ranked AS (
+                SELECT
+                    t.creator_user_id,
+                    l.creator_name,
+                    l.creator_avatar,
+                    l.creator_is_verified,
+                    t.rooms,
+                    t.unique_visitors,
+                    t.participant_seconds::BIGINT as participant_seconds,
+                    ROUND(t.participant_seconds / 3600.0, 2)::REAL as participant_hours,
+                    ROUND(t.participant_seconds / NULLIF(o.occupied_seconds, 0), 2)::REAL as avg_occupancy
+                FROM totals t
+                JOIN occupied o ON o.creator_user_id = t.creator_user_id
+                JOIN latest l ON l.creator_user_id = t.creator_user_id
+            )
+            SELECT *
+            FROM ranked
+            ORDER BY ${orderBy} NULLS LAST, unique_visitors DESC, participant_seconds DESC, creator_user_id ASC
+            LIMIT $2
+        `;
+
+        const result = await this.db.query(query, [days, limit]);
+        return result.rows;
+    }
+
+    /**
+     * Current participants, or everyone who has ever been in the room
+     */
+    async listParticipants(roomId, { currentOnly }) {
+        let query;
+        if (currentOnly) {
+            query = `
+                SELECT
+                    u.user_id,
+                    u.username,
+                    u.user_avatar,
+                    u.followers_count,
+                    u.verification_status,
+                    u.supporter_level,
+                    s.joined_at,
+                    s.user_position,
+                    s.mic_was_on
+                FROM sessions s
+                JOIN users u ON s.user_id = u.user_id
+                WHERE s.room_id = $1 AND s.is_currently_active = true AND ${notBlocked('s.user_id')}
+                ORDER BY s.user_position ASC NULLS LAST, s.joined_at ASC
+            `;
+        } else {
+            query = `
+                SELECT DISTINCT ON (u.user_id)
+                    u.user_id,
+                    u.username,
+                    u.user_avatar,
+                    u.followers_count,
+                    u.verification_status,
+                    u.supporter_level,
+                    MAX(s.joined_at) as last_joined,
+                    COUNT(s.session_id) as total_sessions
+                FROM sessions s
+                JOIN users u ON s.user_id = u.user_id
+                WHERE s.room_id = $1 AND ${notBlocked('s.user_id')}
+                GROUP BY u.user_id, u.username, u.user_avatar, u.followers_count, u.verification_status, u.supporter_level
+                ORDER BY u.user_id, last_joined DESC
+            `;
+        }
+
+        const result = await this.db.query(query, [roomId]);
+        return result.rows;
+    }
+
+    async listSnapshots(roomId, { start_date, end_date }, page) {
+        const { whereClause, params } = this._snapshotFilter(roomId, { start_date, end_date });
+
+        const query = `
+            SELECT
+                snapshot_id,
+                room_id,
+                snapshot_time,
+                participants_count,
+                ${redactedParticipants('participants_json')} as participants_json,
+                is_active,
+                ${cursorTimeExpression('snapshot_time')} as cursor_time
+            FROM room_snapshots
+            WHERE ${whereClause} AND ${keysetCondition('snapshot_time', 'snapshot_id', page.cursor, params)}
+            ORDER BY ${keysetOrder('snapshot_time', 'snapshot_id', page.cursor)}
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `;
+
+        const result = await this.db.query(query, [...params, page.limit + 1, page.offset]);
+        return result.rows;
+    }
+
+    async countSnapshots(roomId, { start_date, end_date }) {
+        const { whereClause, params } = this._snapshotFilter(roomId, { start_date, end_date });
+
+        const countQuery = `
+            SELECT COUNT(*) as total
+            FROM room_snapshots
+            WHERE ${whereClause}
+        `;
+        const result = await this.db.query(countQuery, params);
+        return parseInt(result.rows[0].total);
+    }
+
+    _snapshotFilter(roomId, { start_date, end_date }) {
+        let whereClause = 'room_id = $1';
+        const params = [roomId];
+
+        if (start_date) {
+            params.push(start_date);
+            whereClause += ` AND snapshot_time >= $${params.length}`;
+        }
+
+        if (end_date) {
+            params.push(end_date);
+            whereClause += ` AND snapshot_time <= $${params.length}`;
+        }
+
+        return { whereClause, params };
+    }
+
+    /**
+     * The snapshot closest to `time` on either side, or null
+     */
+    async findNearestSnapshot(roomId, time) {
+        const query = `
+            SELECT
+                snapshot_id,
+                snapshot_time,
+                participants_count,
+                ${redactedParticipants('participants_json')} as participants_json,
+                is_active
+            FROM (
+                (SELECT snapshot_id, snapshot_time, participants_count, participants_json, is_active
+                 FROM room_snapshots
+                 WHERE room_id = $1 AND snapshot_time <= $2
+                 ORDER BY snapshot_time DESC, snapshot_id DESC
+                 LIMIT 1)
+                UNION ALL
+                (SELECT snapshot_id, snapshot_time, participants_count, participants_json, is_active
+                 FROM room_snapshots
+                 WHERE room_id = $1 AND snapshot_time > $2
+                 ORDER BY snapshot_time ASC, snapshot_id ASC
+                 LIMIT 1)
+            ) candidates
+            ORDER BY ABS(EXTRACT(EPOCH FROM (snapshot_time - $2::timestamptz))) ASC, snapshot_time DESC
+            LIMIT 1
+        `;
+
+        const result = await this.db.query(query, [roomId, time]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Concurrent users per bucket in [from, to), from snapshot head counts.
+     * Each room's last count holds until its next snapshot; without a room
+     * the counts of all rooms are summed.
+     */
+    async getSnapshotOccupancy({ roomId }, { from, to, bucketSeconds }) {
+        const roomFilter = roomId ? 'AND room_id = $4' : '';
+
+        // Each room's last snapshot at or before `from`
+        const latestBefore = `
+            SELECT DISTINCT ON (room_id) room_id, snapshot_id, snapshot_time, participants_count
+            FROM room_snapshots
+            WHERE snapshot_time <= $1 ${roomFilter}
+            ORDER BY room_id, snapshot_time DESC, snapshot_id DESC
+        `;
+
+        const query = stepSeriesQuery({
+            initial: `
+                SELECT COALESCE(SUM(participants_count), 0) as users
+                FROM (${latestBefore}) latest
+            `,
+            deltas: `
+                SELECT
+                    snapshot_time as time,
+                    participants_count - COALESCE(
+                        LAG(participants_count) OVER (PARTITION BY room_id ORDER BY snapshot_time, snapshot_id), 0
+                    ) as delta
+                FROM (
+                    (${latestBefore})
+                    UNION ALL
+                    SELECT room_id, snapshot_id, snapshot_time, participants_count
+                    FROM room_snapshots
+                    WHERE snapshot_time > $1 AND snapshot_time < $2 ${roomFilter}
+                ) relevant
+            `
+        });
+
+        const params = [from, to, bucketSeconds];
+        if (roomId) params.push(roomId);
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Rooms with the most distinct visitors over the last `hours`;
+     * `filters` as in lib/roomFilters.js
+     */
+    async listTrending(filters, { hours, limit }) {
+        const params = [hours];
+        const conditions = [
+            `s.joined_at >= NOW() - INTERVAL '1 hour' * $1`,
+            ...roomFilterConditions(filters, params, 'r')
+        ];
+        const whereClause = conditions.join(' AND ');
+
+        params.push(limit);
+
+        const query = `
+            SELECT
+                r.room_id,
+                r.topic,
+                r.language,
+                r.second_language,
+                r.skill_level,
+                r.is_active,
+                r.current_users_count,
+                r.max_capacity,
+                r.is_locked,
+                ${creatorColumns('r')},
+                COUNT(DISTINCT s.user_id) as unique_visitors,
+                COUNT(s.session_id) as total_sessions,
+                MAX(s.joined_at) as last_activity
+            FROM rooms r
+            JOIN sessions s ON r.room_id = s.room_id
+            WHERE ${whereClause}
+            GROUP BY r.room_id, r.topic, r.language, r.second_language, r.skill_level,
+                     r.is_active, r.current_users_count, r.max_capacity, r.is_locked,
+                     r.creator_user_id, r.creator_name, r.creator_avatar, r.creator_is_verified
+            ORDER BY unique_visitors DESC, total_sessions DESC
+            LIMIT $${params.length}
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Rooms open right now; `filters` as in lib/roomFilters.js
+     */
+    async listActive(filters, { sort = 'users', limit }) {
+        const params = [];
+        const whereClause = ['is_active = true', ...roomFilterConditions(filters, params)].join(' AND ');
+
+        let orderBy = 'current_users_count DESC';
+        if (sort === 'recent') {
+            orderBy = 'last_activity DESC';
+        } else if (sort === 'popular') {
+            orderBy = 'current_users_count DESC, last_activity DESC';
+        }
+
+        params.push(limit);
+
+        const query = `
+            SELECT
+                room_id,
+                topic,
+                language,
+                second_language,
+                skill_level,
+                current_users_count,
+                max_capacity,
+                is_full,
+                is_empty,
+                is_locked,
+                mic_allowed,
+                mic_required,
+                no_mic,
+                ${creatorColumns()},
+                last_activity,
+                allows_unlimited
+            FROM rooms
+            WHERE ${whereClause}
+            ORDER BY ${orderBy}
+            LIMIT $${params.length}
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Fuzzy search over topic, languages and creator name, best match first;
+     * `filters` as in lib/roomFilters.js. Creators on the privacy blocklist
+     * are neither matched nor returned. Run it in a transaction (see
+     * lib/search.js).
+     */
+    async search(q, filters, { activeOnly, limit }) {
+        await applyThresholds(this.db);
+
+        const creatorName = creatorColumn('creator_name');
+        const score = scoreExpression({
+            topic: 1.0,
+            language: 0.9,
+            second_language: 0.7,
+            [creatorName]: 0.8
+        });
+
+        const params = searchParams(q);
+        const conditions = [
+            matchCondition(['topic', 'language', 'second_language', 'creator_name']),
+            ...roomFilterConditions(filters, params)
+        ];
+        if (activeOnly) {
+            conditions.push('is_active = true');
+        }
+        params.push(MIN_SCORE, limit);
+
+        const query = `
+            SELECT * FROM (
+                SELECT
+                    room_id,
+                    topic,
+                    language,
+                    second_language,
+                    skill_level,
+                    is_active,
+                    current_users_count,
+                    max_capacity,
+                    is_locked,
+                    last_activity,
+                    ${creatorColumns()},
+                    ${score} as score
+                FROM rooms
+                WHERE ${conditions.join(' AND ')}
+            ) matches
+            WHERE score >= $${params.length - 1}
+            ORDER BY
+                score DESC,
+                is_active DESC,
+                current_users_count DESC,
+                last_activity DESC,
+                room_id ASC
+            LIMIT $${params.length}
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    async getAnalytics(roomId, { days }) {
+        const query = `
+            SELECT
+                date,
+                total_participants,
+                unique_participants,
+                total_sessions,
+                avg_session_duration_seconds,
+                peak_concurrent_users
+            FROM room_analytics
+            WHERE room_id = $1
+                AND date >= CURRENT_DATE - $2::INTEGER
+            ORDER BY date DESC
+        `;
+
+        const result = await this.db.query(query, [roomId, days]);
+        return result.rows;
+    }
+
+    /**
+     * Insert or refresh a room seen in a room listing (marks it active)
+     */
+    async upsert(room, seenAt) {
+        const count = room.participants.length;
+        const isFull = !room.allows_unlimited && room.max_capacity > 0 && count >= room.max_capacity;
+
+        await this.db.query(
+            `INSERT INTO rooms (
+                room_id, channel, platform, topic, language, second_language, skill_level,
+                max_capacity, allows_unlimited, is_locked, mic_allowed, mic_required, no_mic, al_mic,
+                url, creator_user_id, creator_name, creator_avatar, creator_is_verified,
+                is_active, is_full, is_empty, current_users_count, first_seen, last_activity
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+                    true, $20, $21, $22, $23, $23)
+            ON CONFLICT (room_id) DO UPDATE SET
+                channel = EXCLUDED.channel,
+                platform = EXCLUDED.platform,
+                topic = EXCLUDED.topic,
+                language = EXCLUDED.language,
+                second_language = EXCLUDED.second_language,
+                skill_level = EXCLUDED.skill_level,
+                max_capacity = EXCLUDED.max_capacity,
+                allows_unlimited = EXCLUDED.allows_unlimited,
+                is_locked = EXCLUDED.is_locked,
+                mic_allowed = EXCLUDED.mic_allowed,
+                mic_required = EXCLUDED.mic_required,
+                no_mic = EXCLUDED.no_mic,
+                al_mic = EXCLUDED.al_mic,
+                url = EXCLUDED.url,
+                creator_user_id = EXCLUDED.creator_user_id,
+                creator_name = EXCLUDED.creator_name,
+                creator_avatar = EXCLUDED.creator_avatar,
+                creator_is_verified = EXCLUDED.creator_is_verified,
+                is_active = true,
+                is_full = EXCLUDED.is_full,
+                is_empty = EXCLUDED.is_empty,
+                current_users_count = EXCLUDED.current_users_count,
+                last_activity = EXCLUDED.last_activity,
+                updated_at = NOW()`,
+            [
+                room.room_id, room.channel, room.platform, room.topic, room.language, room.second_language,
+                room.skill_level, room.max_capacity, room.allows_unlimited, room.is_locked, room.mic_allowed,
+                room.mic_required, room.no_mic, room.al_mic, room.url, room.creator_user_id, room.creator_name,
+                room.creator_avatar, room.creator_is_verified, isFull, count === 0, count, seenAt
+            ]
+        );
+    }
+
+    /**
+     * Mark every active room not in roomIds as closed; returns the closed room ids
+     */
+    async closeAllExcept(roomIds, closedAt) {
+        const result = await this.db.query(
+            `UPDATE rooms
+             SET is_active = false, is_full = false, is_empty = true, current_users_count = 0,
+                 last_activity = $2, updated_at = NOW()
+             WHERE is_active = true AND NOT (room_id = ANY($1::varchar[]))
+             RETURNING room_id`,
+            [roomIds, closedAt]
+        );
+        return result.rows.map(row => row.room_id);
+    }
+
+    async insertSnapshot(roomId, participants, isActive, snapshotTime) {
+        await this.db.query(
+            `INSERT INTO room_snapshots (room_id, snapshot_time, participants_count, participants_json, is_active)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [roomId, snapshotTime, participants.length, JSON.stringify(participants), isActive]
+        );
+    }
+}
+
+module.exports = RoomRepository;
@@ -0,0 +1,507 @@
+const { keysetCondition, keysetOrder, cursorTimeExpression } = require('../lib/pagination');
+const { stepSeriesQuery } = require('../lib/occupancy');
+const { notBlocked } = require('../lib/privacy');
+
+// ============================================
+// CO-PRESENCE
+// ============================================
+//
+// Two sessions (aliases a and b) were together when they are in the same
+// room and their [joined_at, left_at] intervals intersect; an open session
+// lasts until now. Shared rooms, companions and the co-presence graph all
+// use these expressions.
+
+function overlapCondition(a, b) {
+    return `${a}.joined_at <= COALESCE(${b}.left_at, NOW())
+                AND ${b}.joined_at <= COALESCE(${a}.left_at, NOW())`;
+}
+
+function overlapEnd(a, b, windowEnd = null) {
+    return `LEAST(COALESCE(${a}.left_at, NOW()), COALESCE(${b}.left_at, NOW())${windowEnd ? `, ${windowEnd}` : ''})`;
+}
+
+function overlapStart(a, b, windowStart = null) {
+    return `GREATEST(${a}.joined_at, ${b}.joined_at${windowStart ? `, ${windowStart}` : ''})`;
+}
+
+/**
+ * Seconds two sessions spent together, optionally clipped to a window
+ */
+function overlapSeconds(a, b, { windowStart = null, windowEnd = null } = {}) {
+    return `EXTRACT(EPOCH FROM (${overlapEnd(a, b, windowEnd)} - ${overlapStart(a, b, windowStart)}))`;
+}
+
+/**
+ * Data access for sessions: one row per stay of a user in a room.
+ * A session is opened with event_type = 'join' and is_currently_active = true,
+ * and closed with left_at, duration_seconds and event_type = 'leave'.
+ */
+class SessionRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async listForUserInRoom(userId, roomId, page) {
+        const params = [userId, roomId];
+        const query = `
+            SELECT
+                session_id,
+                joined_at,
+                left_at,
+                duration_seconds,
+                is_currently_active,
+                event_type,
+                user_position,
+                mic_was_on,
+                ${cursorTimeExpression('joined_at')} as cursor_time
+            FROM sessions
+            WHERE user_id = $1 AND room_id = $2 AND ${notBlocked('sessions.user_id')}
+                AND ${keysetCondition('joined_at', 'session_id', page.cursor, params)}
+            ORDER BY ${keysetOrder('joined_at', 'session_id', page.cursor)}
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `;
+
+        const result = await this.db.query(query, [...params, page.limit + 1, page.offset]);
+        return result.rows;
+    }
+
+    async countForUserInRoom(userId, roomId) {
+        const result = await this.db.query(
+            `SELECT COUNT(*) as total
+             FROM sessions
+             WHERE user_id = $1 AND room_id = $2 AND ${notBlocked('sessions.user_id')}`,
+            [userId, roomId]
+        );
+        return parseInt(result.rows[0].total);
+    }
+
+    /**
+     * A room's sessions with user details, most recent join first
+     */
+    async listTimeline(roomId, { eventType }, page) {
+        const { whereClause, params } = this._timelineFilter(roomId, { eventType });
+
+        const query = `
+            SELECT
+                s.session_id,
+                s.user_id,
+                u.username,
+                u.user_avatar,
+                u.verification_status,
+                s.joined_at,
+                s.left_at,
+                s.duration_seconds,
+                s.event_type,
+                s.is_currently_active,
+                ${cursorTimeExpression('s.joined_at')} as cursor_time
+            FROM sessions s
+            JOIN users u ON s.user_id = u.user_id
+            WHERE ${whereClause}
+                AND ${keysetCondition('s.joined_at', 's.session_id', page.cursor, params)}
+            ORDER BY ${keysetOrder('s.joined_at', 's.session_id', page.cursor)}
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `;
+
+        const result = await this.db.query(query, [...params, page.limit + 1, page.offset]);
+        return result.rows;
+    }
+
+    async countTimeline(roomId, { eventType }) {
+        const { whereClause, params } = this._timelineFilter(roomId, { eventType });
+
+        const countQuery = `
+            SELECT COUNT(*) as total
+            FROM sessions s
+            JOIN users u ON s.user_id = u.user_id
+            WHERE ${whereClause}
+        `;
+        const result = await this.db.query(countQuery, params);
+        return parseInt(result.rows[0].total);
+    }
+
+    _timelineFilter(roomId, { eventType }) {
+        let whereClause = `s.room_id = $1 AND ${notBlocked('s.user_id')}`;
+        const params = [roomId];
+
+        if (eventType) {
+            params.push(eventType);
+            whereClause += ` AND s.event_type = $${params.length}`;
+        }
+
+        return { whereClause, params };
+    }
+
+    /**
+     * Rooms both users have been in, with how often their sessions overlapped
+     */
+    async findSharedRooms(user1Id, user2Id, { minOverlaps }) {
+        const query = `
+            SELECT
+                r.room_id,
+                r.language,
+                r.topic,
+                r.skill_level,
+                r.is_active,
+                COUNT(DISTINCT s1.session_id) as user1_sessions,
+                COUNT(DISTINCT s2.session_id) as user2_sessions,
+                COUNT(DISTINCT CASE
+                    WHEN ${overlapCondition('s1', 's2')}
+                    THEN s1.session_id
+                END) as overlap_count,
+                MAX(${overlapEnd('s1', 's2')}) as last_overlap_time,
+                MIN(${overlapStart('s1', 's2')}) as first_overlap_time
+            FROM rooms r
+            JOIN sessions s1 ON r.room_id = s1.room_id AND s1.user_id = $1
+            JOIN sessions s2 ON r.room_id = s2.room_id AND s2.user_id = $2
+            WHERE ${notBlocked('$1')} AND ${notBlocked('$2')}
+            GROUP BY r.room_id, r.language, r.topic, r.skill_level, r.is_active
+            HAVING COUNT(DISTINCT CASE
+                WHEN ${overlapCondition('s1', 's2')}
+                THEN s1.session_id
+            END) >= $3
+            ORDER BY overlap_count DESC, last_overlap_time DESC
+        `;
+
+        const result = await this.db.query(query, [user1Id, user2Id, minOverlaps]);
+        return result.rows;
+    }
+
+    /**
+     * Other users ranked by the time their sessions intersected the user's
+     * sessions in the same room. With `days`, only overlap inside the window
+     * counts; open sessions run until now.
+     */
+    async findCompanions(userId, { days, minOverlapSeconds, limit }) {
+        const window = { windowStart: 'NOW() - INTERVAL \'1 day\' * $2' };
+
+        const query = `
+            SELECT
+                o.user_id,
+                u.username,
+                u.user_avatar,
+                u.verification_status,
+                u.followers_count,
+                SUM(${overlapSeconds('m', 'o', window)})::BIGINT as overlap_seconds,
+                COUNT(*) as overlap_count,
+                COUNT(DISTINCT m.room_id) as shared_rooms,
+                ARRAY_AGG(DISTINCT m.room_id) as room_ids,
+                MAX(${overlapEnd('m', 'o')}) as last_together
+            FROM sessions m
+            JOIN sessions o ON o.room_id = m.room_id
+                AND o.user_id <> $1
+                AND ${overlapCondition('m', 'o')}
+            JOIN users u ON o.user_id = u.user_id
+            WHERE m.user_id = $1
+                AND ${notBlocked('o.user_id')}
+                AND ($2::INTEGER IS NULL OR COALESCE(m.left_at, NOW()) > NOW() - INTERVAL '1 day' * $2)
+                AND ${overlapSeconds('m', 'o', window)} > 0
+            GROUP BY o.user_id, u.username, u.user_avatar, u.verification_status, u.followers_count
+            HAVING SUM(${overlapSeconds('m', 'o', window)}) >= $3
+            ORDER BY overlap_seconds DESC, last_together DESC
+            LIMIT $4
+        `;
+
+        const result = await this.db.query(query, [userId, days || null, minOverlapSeconds, limit]);
+        return result.rows;
+    }
+
+    /**
+     * Weighted user pairs for the co-presence graph: seconds together inside
+     * [from, to), in rooms matching the filters. Each pair appears once with
+     * source < target; the heaviest `limit` edges of at least `minWeight` are kept.
+     */
+    async getCoPresenceEdges({ from, to, language, roomIds, minWeight, limit }) {
+        const params = [from, to];
+        const window = { windowStart: '$1::timestamptz', windowEnd: '$2::timestamptz' };
+
+        let roomFilter = '';
+        if (language) {
+            params.push(language);
+            roomFilter += ` AND r.language = $${params.length}`;
+        }
+        if (roomIds && roomIds.length > 0) {
+            params.push(roomIds);
+            roomFilter += ` AND r.room_id = ANY($${params.length}::varchar[])`;
+        }
+
+        params.push(minWeight, limit);
+
+        const query = `
+            SELECT
+                s1.user_id as source,
+                s2.user_id as target,
+                SUM(${overlapSeconds('s1', 's2', window)})::BIGINT as weight,
+                COUNT(*) as overlap_count,
+                COUNT(DISTINCT s1.room_id) as shared_rooms
+            FROM sessions s1
+            JOIN rooms r ON s1.room_id = r.room_id
+            JOIN sessions s2 ON s2.room_id = s1.room_id
+                AND s1.user_id < s2.user_id
+                AND ${overlapCondition('s1', 's2')}
+            WHERE s1.joined_at < $2 AND COALESCE(s1.left_at, NOW()) > $1
+                AND s2.joined_at < $2 AND COALESCE(s2.left_at, NOW()) > $1
+                AND ${overlapSeconds('s1', 's2', window)} > 0
+                AND ${notBlocked('s1.user_id')} AND ${notBlocked('s2.user_id')}
+                ${roomFilter}
+            GROUP BY s1.user_id, s2.user_id
+            HAVING SUM(${overlapSeconds('s1', 's2', window)}) >= $${params.length - 1}
+            ORDER BY weight DESC, source ASC, target ASC
+            LIMIT $${params.length}
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Sessions and seconds present per (ISO day of week, hour) in `timeZone`
+     * over the last `days`, for one user or one room. Each session is split
+     * at the zone's hour boundaries; open sessions count up to now.
+     */
+    async getHourOfWeekActivity({ userId, roomId }, { days, timeZone }) {
+        const column = userId ? 'user_id' : 'room_id';
+
+        const query = `
+            WITH windowed AS (
+                SELECT
+                    session_id,
+                    GREATEST(joined_at, NOW() - INTERVAL '1 day' * $2) as start_at,
+                    COALESCE(left_at, NOW()) as end_at
+                FROM sessions
+                WHERE ${column} = $1
+                    AND COALESCE(left_at, NOW()) >= NOW() - INTERVAL '1 day' * $2
+            ),
+            hourly AS (
+                SELECT
+                    w.session_id,
+                    h.hour_start,
+                    EXTRACT(EPOCH FROM (
+                        LEAST(w.end_at, h.hour_start + INTERVAL '1 hour') - GREATEST(w.start_at, h.hour_start)
+                    )) as seconds
+                FROM windowed w
+                CROSS JOIN LATERAL generate_series(
+                    date_trunc('hour', w.start_at, $3),
+                    w.end_at,
+                    INTERVAL '1 hour'
+                ) as h(hour_start)
+                WHERE h.hour_start < w.end_at OR w.end_at = w.start_at
+            )
+            SELECT
+                EXTRACT(ISODOW FROM hour_start AT TIME ZONE $3)::INTEGER as day_of_week,
+                EXTRACT(HOUR FROM hour_start AT TIME ZONE $3)::INTEGER as hour,
+                COUNT(DISTINCT session_id) as sessions,
+                COALESCE(SUM(seconds), 0)::BIGINT as seconds
+            FROM hourly
+            GROUP BY 1, 2
+        `;
+
+        const result = await this.db.query(query, [userId || roomId, days, timeZone]);
+        return result.rows;
+    }
+
+    /**
+     * Who was in the room at `time`: sessions that had started and not yet ended
+     */
+    async listPresentAt(roomId, time) {
+        const query = `
+            SELECT
+                s.session_id,
+                s.user_id,
+                u.username,
+                u.user_avatar,
+                u.verification_status,
+                s.joined_at,
+                s.left_at,
+                s.user_position,
+                s.mic_was_on
+            FROM sessions s
+            JOIN users u ON s.user_id = u.user_id
+            WHERE s.room_id = $1
+                AND s.joined_at <= $2
+                AND (s.left_at > $2 OR (s.left_at IS NULL AND s.is_currently_active = true))
+                AND ${notBlocked('s.user_id')}
+            ORDER BY s.user_position ASC NULLS LAST, s.joined_at ASC, s.session_id ASC
+        `;
+
+        const result = await this.db.query(query, [roomId, time]);
+        return result.rows;
+    }
+
+    /**
+     * Joins and leaves in (from, to], oldest first; at the same instant
+     * leaves come before joins, as in the change feed
+     */
+    async listRoomEventsBetween(roomId, from, to, limit) {
+        const query = `
+            SELECT * FROM (
+                SELECT s.session_id, s.user_id, u.username, u.user_avatar,
+                       'join' as type, s.joined_at as time, 1 as rank
+                FROM sessions s
+                JOIN users u ON s.user_id = u.user_id
+                WHERE s.room_id = $1 AND s.joined_at > $2 AND s.joined_at <= $3
+                    AND ${notBlocked('s.user_id')}
+                UNION ALL
+                SELECT s.session_id, s.user_id, u.username, u.user_avatar,
+                       'leave' as type, s.left_at as time, 0 as rank
+                FROM sessions s
+                JOIN users u ON s.user_id = u.user_id
+                WHERE s.room_id = $1 AND s.left_at > $2 AND s.left_at <= $3
+                    AND ${notBlocked('s.user_id')}
+            ) room_events
+            ORDER BY time ASC, rank ASC, session_id ASC
+            LIMIT $4
+        `;
+
+        const result = await this.db.query(query, [roomId, from, to, limit]);
+        return result.rows;
+    }
+
+    /**
+     * Concurrent users per bucket in [from, to), from session intervals.
+     * Without a room this is everyone online across the platform.
+     */
+    async getOccupancy({ roomId }, { from, to, bucketSeconds }) {
+        const roomFilter = roomId ? 'AND room_id = $4' : '';
+
+        const query = stepSeriesQuery({
+            initial: `
+                SELECT COUNT(*) as users
+                FROM sessions
+                WHERE joined_at <= $1
+                    AND (left_at > $1 OR (left_at IS NULL AND is_currently_active = true))
+                    ${roomFilter}
+            `,
+            deltas: `
+                SELECT joined_at as time, 1 as delta
+                FROM sessions
+                WHERE joined_at > $1 AND joined_at < $2 ${roomFilter}
+                UNION ALL
+                SELECT left_at as time, -1 as delta
+                FROM sessions
+                WHERE left_at > $1 AND left_at < $2 ${roomFilter}
+            `
+        });
+
+        const params = [from, to, bucketSeconds];
+        if (roomId) params.push(roomId);
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Whether any session overlaps [from, to), in one room or anywhere
+     */
+    async existsBetween({ roomId }, from, to) {
+        const query = `
+            SELECT EXISTS (
+                SELECT 1 FROM sessions
+                WHERE joined_at < $2
+                    AND (left_at > $1 OR (left_at IS NULL AND is_currently_active = true))
+                    ${roomId ? 'AND room_id = $3' : ''}
+            ) as exists
+        `;
+
+        const params = [from, to];
+        if (roomId) params.push(roomId);
+
+        const result = await this.db.query(query, params);
+        return result.rows[0].exists;
+    }
+
+    /**
+     * Take a transaction-scoped advisory lock so concurrent writers of
+     * sessions run one after another
+     */
+    async lockForTransaction(lockKey) {
+        await this.db.query('SELECT pg_advisory_xact_lock($1)', [lockKey]);
+    }
+
+    /**
+     * Latest time any ingest has stamped on a join, leave or snapshot
+     * (null before the first one)
+     */
+    async getLatestCaptureTime() {
+        const result = await this.db.query(
+            `SELECT GREATEST(
+                (SELECT MAX(joined_at) FROM sessions),
+                (SELECT MAX(left_at) FROM sessions),
+                (SELECT MAX(snapshot_time) FROM room_snapshots)
+            ) as latest`
+        );
+        return result.rows[0].latest;
+    }
+
+    /**
+     * Open sessions in a room, oldest first
+     */
+    async listOpenInRoom(roomId) {
+        const result = await this.db.query(
+            `SELECT session_id, user_id
+             FROM sessions
+             WHERE room_id = $1 AND is_currently_active = true
+             ORDER BY joined_at ASC, session_id ASC`,
+            [roomId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Ids of open sessions in any room not listed
+     */
+    async listOpenOutsideRooms(roomIds) {
+        const result = await this.db.query(
+            `SELECT session_id
+             FROM sessions
+             WHERE is_currently_active = true AND NOT (room_id = ANY($1::varchar[]))`,
+            [roomIds]
+        );
+        return result.rows.map(row => row.session_id);
+    }
+
+    async open(roomId, { user_id, position, mic }, joinedAt) {
+        const result = await this.db.query(
+            `INSERT INTO sessions (user_id, room_id, joined_at, is_currently_active, event_type, user_position, mic_was_on)
+             VALUES ($1, $2, $3, true, 'join', $4, $5)
+             RETURNING session_id, user_id, room_id, joined_at, user_position, mic_was_on`,
+            [user_id, roomId, joinedAt, position, mic]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Refresh an open session; mic_was_on stays true once the mic was seen on
+     */
+    async touchOpen(sessionId, { position, mic }) {
+        await this.db.query(
+            `UPDATE sessions
+             SET user_position = $2, mic_was_on = (COALESCE(mic_was_on, false) OR $3), updated_at = NOW()
+             WHERE session_id = $1`,
+            [sessionId, position, mic]
+        );
+    }
+
+    /**
+     * Close open sessions at leftAt; returns the closed rows with their durations
+     */
+    async close(sessionIds, leftAt) {
+        if (sessionIds.length === 0) {
+            return [];
+        }
+
+        const result = await this.db.query(
+            `UPDATE sessions
+             SET left_at = $2,
+                 duration_seconds = GREATEST(0, EXTRACT(EPOCH FROM ($2::timestamptz - joined_at)))::INTEGER,
+                 is_currently_active = false,
+                 event_type = 'leave',
+                 updated_at = NOW()
+             WHERE session_id = ANY($1::bigint[]) AND is_currently_active = true
+             RETURNING session_id, user_id, room_id, joined_at, left_at, duration_seconds`,
+            [sessionIds, leftAt]
+        );
+        return result.rows;
+    }
+}
+
+module.exports = SessionRepository;
@@ -0,0 +1,164 @@
+/**
+ * Platform-wide aggregates
+ */
+class StatsRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async getGlobal() {
+        const query = `
+            SELECT
+                (SELECT COUNT(*) FROM users) as total_users,
+                (SELECT COUNT(*) FROM rooms) as total_rooms,
+                (SELECT COUNT(*) FROM rooms WHERE is_active = true) as active_rooms,
+                (SELECT COUNT(*) FROM sessions WHERE is_currently_active = true) as active_sessions,
+                (SELECT COUNT(*) FROM sessions) as total_sessions,
+                (SELECT COUNT(*) FROM profile_views WHERE viewed_at >= NOW() - INTERVAL '24 hours') as views_24h,
+                (SELECT COUNT(*) FROM room_snapshots) as total_snapshots,
+                (SELECT COUNT(DISTINCT user_id) FROM sessions WHERE joined_at >= NOW() - INTERVAL '24 hours') as active_users_24h,
+                (SELECT COUNT(DISTINCT user_id) FROM sessions WHERE joined_at >= NOW() - INTERVAL '7 days') as active_users_7d,
+                (SELECT COALESCE(SUM(duration_seconds), 0)::BIGINT FROM sessions) as total_watch_time_seconds
+        `;
+
+        const result = await this.db.query(query);
+        return result.rows[0];
+    }
+
+    async getLanguages({ days }) {
+        let dateFilter = '';
+        const params = [];
+
+        if (days) {
+            params.push(days);
+            dateFilter = `AND s.joined_at >= NOW() - INTERVAL '1 day' * $${params.length}`;
+        }
+
+        const query = `
+            SELECT
+                r.language,
+                COUNT(DISTINCT r.room_id) as room_count,
+                COUNT(DISTINCT s.user_id) as unique_users,
+                COUNT(s.session_id) as total_sessions,
+                COALESCE(SUM(s.duration_seconds), 0)::BIGINT as total_time_seconds,
+                AVG(s.duration_seconds)::INTEGER as avg_session_duration
+            FROM rooms r
+            LEFT JOIN sessions s ON r.room_id = s.room_id ${dateFilter}
+            GROUP BY r.language
+            ORDER BY unique_users DESC, total_sessions DESC
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    async getSkillLevels({ days }) {
+        let dateFilter = '';
+        const params = [];
+
+        if (days) {
+            params.push(days);
+            dateFilter = `AND s.joined_at >= NOW() - INTERVAL '1 day' * $${params.length}`;
+        }
+
+        const query = `
+            SELECT
+                r.skill_level,
+                COUNT(DISTINCT r.room_id) as room_count,
+                COUNT(DISTINCT s.user_id) as unique_users,
+                COUNT(s.session_id) as total_sessions,
+                AVG(s.duration_seconds)::INTEGER as avg_session_duration
+            FROM rooms r
+            LEFT JOIN sessions s ON r.room_id = s.room_id ${dateFilter}
+            GROUP BY r.skill_level
+            ORDER BY total_sessions DESC
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Language x second language x skill level metrics for [from, to) and
+     * the equal-length period before it, one row per period and combination.
+     * Sessions count in a period when they overlap it and are clipped to it;
+     * open sessions count up to now. Per row:
+     *   room_count             rooms with sessions
+     *   unique_users           distinct users
+     *   total_sessions         sessions
+     *   avg_session_duration   average clipped duration in seconds
+     *   peak_concurrent_users  most users present at once across the rooms
+     */
+    async getCombinations({ from, to }) {
+        const query = `
+            WITH windows AS (
+                SELECT 'current' as period, $1::timestamptz as window_start, $2::timestamptz as window_end
+                UNION ALL
+                SELECT 'previous', $1::timestamptz - ($2::timestamptz - $1::timestamptz), $1::timestamptz
+            ),
+            pieces AS (
+                SELECT
+                    w.period,
+                    r.language,
+                    r.second_language,
+                    r.skill_level,
+                    s.room_id,
+                    s.user_id,
+                    GREATEST(s.joined_at, w.window_start) as piece_start,
+                    LEAST(COALESCE(s.left_at, NOW()), w.window_end) as piece_end
+                FROM windows w
+                JOIN sessions s ON s.joined_at < w.window_end AND COALESCE(s.left_at, NOW()) > w.window_start
+                JOIN rooms r ON r.room_id = s.room_id
+            ),
+            totals AS (
+                SELECT
+                    period, language, second_language, skill_level,
+                    COUNT(DISTINCT room_id) as room_count,
+                    COUNT(DISTINCT user_id) as unique_users,
+                    COUNT(*) as total_sessions,
+                    AVG(EXTRACT(EPOCH FROM piece_end - piece_start))::INTEGER as avg_session_duration
+                FROM pieces
+                GROUP BY period, language, second_language, skill_level
+            ),
+            events AS (
+                SELECT period, language, second_language, skill_level, piece_start as at, 1 as delta FROM pieces
+                UNION ALL
+                SELECT period, language, second_language, skill_level, piece_end, -1 FROM pieces
+            ),
+            running AS (
+                -- Leaves sort before joins at the same instant
+                SELECT
+                    period, language, second_language, skill_level,
+                    SUM(delta) OVER (
+                        PARTITION BY period, language, second_language, skill_level
+                        ORDER BY at, delta
+                        ROWS UNBOUNDED PRECEDING
+                    ) as concurrent
+                FROM events
+            ),
+            peaks AS (
+                SELECT period, language, second_language, skill_level, MAX(concurrent) as peak_concurrent_users
+                FROM running
+                GROUP BY period, language, second_language, skill_level
+            )
+            SELECT t.*, p.peak_concurrent_users
+            FROM totals t
+            JOIN peaks p ON p.period = t.period
+                AND p.language IS NOT DISTINCT FROM t.language
+                AND p.second_language IS NOT DISTINCT FROM t.second_language
+                AND p.skill_level IS NOT DISTINCT FROM t.skill_level
+        `;
+
+        const result = await this.db.query(query, [from, to]);
+        return result.rows;
+    }
+
+    /**
+     * Cheapest possible round trip, for health checks
+     */
+    async ping() {
+        await this.db.query('SELECT 1');
+    }
+}
+
+module.exports = StatsRepository;
@@ -0,0 +1,396 @@
+const { notBlocked } = require('../lib/privacy');
+const { PROFILE_CHANGE_TYPES, diffProfile } = require('../lib/profileHistory');
+const { MIN_SCORE, searchParams, applyThresholds, matchCondition, scoreExpression } = require('../lib/search');
+
+/**
+ * Data access for users, their activity log and profile views.
+ * Blocklisted users are never returned.
+ */
+class UserRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Fuzzy search over username and user_id, best match first. Run it in a
+     * transaction (see lib/search.js).
+     */
+    async search(q, limit) {
+        const score = scoreExpression({ username: 1.0, user_id: 0.8 });
+        await applyThresholds(this.db);
+
+        const query = `
+            SELECT * FROM (
+                SELECT
+                    user_id,
+                    username,
+                    user_avatar,
+                    followers_count,
+                    following_count,
+                    friends_count,
+                    verification_status,
+                    supporter_level,
+                    last_seen,
+                    total_sessions,
+                    ${score} as score
+                FROM users
+                WHERE ${matchCondition(['username', 'user_id'])}
+                    AND ${notBlocked('users.user_id')}
+            ) matches
+            WHERE score >= $4
+            ORDER BY
+                score DESC,
+                followers_count DESC NULLS LAST,
+                total_sessions DESC NULLS LAST,
+                user_id ASC
+            LIMIT $5
+        `;
+
+        const result = await this.db.query(query, [...searchParams(q), MIN_SCORE, limit]);
+        return result.rows;
+    }
+
+    /**
+     * Look a user up by user_id or (case-insensitive) username
+     */
+    async findByIdOrUsername(idOrUsername) {
+        const query = `
+            SELECT
+                user_id,
+                username,
+                user_avatar,
+                followers_count,
+                following_count,
+                friends_count,
+                supporter_level,
+                verification_status,
+                first_seen,
+                last_seen,
+                profile_views_count,
+                total_sessions,
+                total_duration_seconds,
+                created_at,
+                updated_at
+            FROM users
+            WHERE (user_id = $1 OR LOWER(username) = LOWER($1)) AND ${notBlocked('users.user_id')}
+        `;
+
+        const result = await this.db.query(query, [idOrUsername]);
+        if (result.rows.length > 0) {
+            return result.rows[0];
+        }
+
+        return this.findByFormerUsername(idOrUsername);
+    }
+
+    /**
+     * The user who most recently renamed away from `username`
+     * (case-insensitive)
+     */
+    async findByFormerUsername(username) {
+        const query = `
+            SELECT
+                u.user_id,
+                u.username,
+                u.user_avatar,
+                u.followers_count,
+                u.following_count,
+                u.friends_count,
+                u.supporter_level,
+                u.verification_status,
+                u.first_seen,
+                u.last_seen,
+                u.profile_views_count,
+                u.total_sessions,
+                u.total_duration_seconds,
+                u.created_at,
+                u.updated_at
+            FROM user_activity_log l
+            JOIN users u ON u.user_id = l.user_id
+            WHERE l.activity_type = '${PROFILE_CHANGE_TYPES.username}'
+                AND LOWER(l.activity_data->>'old') = LOWER($1)
+                AND ${notBlocked('u.user_id')}
+            ORDER BY l.activity_time DESC, l.log_id DESC
+            LIMIT 1
+        `;
+
+        const result = await this.db.query(query, [username]);
+        return result.rows[0] || null;
+    }
+
+    async exists(userId) {
+        const result = await this.db.query(
+            `SELECT user_id FROM users WHERE user_id = $1 AND ${notBlocked('users.user_id')}`,
+            [userId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Node attributes for graph exports, in user_id order
+     */
+    async findGraphAttributes(userIds) {
+        const result = await this.db.query(
+            `SELECT user_id, username, followers_count, verification_status, supporter_level
+             FROM users
+             WHERE user_id = ANY($1::varchar[]) AND ${notBlocked('users.user_id')}
+             ORDER BY user_id ASC`,
+            [userIds]
+        );
+        return result.rows;
+    }
+
+    async getStatistics(userId) {
+        const query = `
+            SELECT
+                COUNT(DISTINCT room_id) as total_rooms_visited,
+                COUNT(DISTINCT session_id) as total_sessions,
+                COALESCE(SUM(duration_seconds), 0)::BIGINT as total_duration_seconds,
+                COALESCE(AVG(duration_seconds), 0)::INTEGER as avg_session_duration,
+                MAX(joined_at) as last_active,
+                COUNT(CASE WHEN is_currently_active THEN 1 END) > 0 as is_currently_active
+            FROM sessions
+            WHERE user_id = $1
+        `;
+        const result = await this.db.query(query, [userId]);
+        return result.rows[0] || {};
+    }
+
+    /**
+     * Language of the rooms the user has the most sessions in, ties broken
+     * alphabetically
+     */
+    async getFavoriteLanguage(userId) {
+        const query = `
+            SELECT r.language, COUNT(*) as visit_count
+            FROM sessions s
+            JOIN rooms r ON s.room_id = r.room_id
+            WHERE s.user_id = $1
+            GROUP BY r.language
+            ORDER BY visit_count DESC, r.language ASC
+            LIMIT 1
+        `;
+        const result = await this.db.query(query, [userId]);
+        return result.rows[0]?.language || null;
+    }
+
+    async getActivityLog(userId, { type = 'all', limit }) {
+        const query = `
+            SELECT
+                log_id,
+                activity_type,
+                activity_data,
+                activity_time
+            FROM user_activity_log
+            WHERE user_id = $1 AND ${notBlocked('user_activity_log.user_id')}
+                AND ($2 = 'all' OR activity_type = $2)
+            ORDER BY activity_time DESC
+            LIMIT $3
+        `;
+
+        const result = await this.db.query(query, [userId, type, limit]);
+        return result.rows;
+    }
+
+    /**
+     * Logged changes of the given activity types, oldest first
+     */
+    async listProfileChanges(userId, types) {
+        const result = await this.db.query(
+            `SELECT activity_type, activity_data, activity_time
+             FROM user_activity_log
+             WHERE user_id = $1 AND activity_type = ANY($2::varchar[])
+                AND ${notBlocked('user_activity_log.user_id')}
+             ORDER BY activity_time ASC, log_id ASC`,
+            [userId, types]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Serialize view recording per (profile, viewer) for the rest of the transaction
+     */
+    async lockProfileViewer(userId, viewerIpHash) {
+        await this.db.query('SELECT pg_advisory_xact_lock(hashtext($1), hashtext($2))', [userId, viewerIpHash || '']);
+    }
+
+    /**
+     * Insert a view unless the same viewer already viewed the profile within
+     * the last dedupeMinutes. Views without a viewer hash are always kept.
+     * Returns whether a row was inserted.
+     */
+    async recordProfileView(userId, viewerIpHash, viewerUserAgent, dedupeMinutes) {
+        const result = await this.db.query(
+            `INSERT INTO profile_views (viewed_user_id, viewer_ip_hash, viewer_user_agent, viewed_at)
+             SELECT $1::varchar, $2::char(64), $3::varchar, NOW()
+             WHERE $2::char(64) IS NULL OR NOT EXISTS (
+                SELECT 1 FROM profile_views
+                WHERE viewed_user_id = $1::varchar
+                    AND viewer_ip_hash = $2::char(64)
+                    AND viewed_at > NOW() - INTERVAL '1 minute' * $4
+             )
+             RETURNING view_id`,
+            [userId, viewerIpHash, viewerUserAgent, dedupeMinutes]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Count one more view; returns the new profile_views_count
+     */
+    async incrementProfileViews(userId) {
+        const result = await this.db.query(
+            'UPDATE users SET profile_views_count = profile_views_count + 1 WHERE user_id = $1 RETURNING profile_views_count',
+            [userId]
+        );
+        return result.rows[0] ? result.rows[0].profile_views_count : null;
+    }
+
+    /**
+     * Users by views in the last `days`. unique_viewers counts distinct viewer
+     * hashes, so views past the viewer retention period no longer add to it.
+     */
+    async listMostViewed({ days, limit }) {
+        const query = `
+            SELECT
+                u.user_id,
+                u.username,
+                u.user_avatar,
+                u.followers_count,
+                u.verification_status,
+                u.supporter_level,
+                COUNT(pv.view_id) as views_in_period,
+                COUNT(DISTINCT pv.viewer_ip_hash) as unique_viewers,
+                u.profile_views_count as total_views,
+                MAX(pv.viewed_at) as last_viewed
+            FROM users u
+            JOIN profile_views pv ON u.user_id = pv.viewed_user_id
+                AND pv.viewed_at >= NOW() - INTERVAL '1 day' * $1
+            WHERE ${notBlocked('u.user_id')}
+            GROUP BY u.user_id, u.username, u.user_avatar, u.followers_count, u.verification_status, u.supporter_level, u.profile_views_count
+            ORDER BY views_in_period DESC, unique_viewers DESC, total_views DESC, u.user_id ASC
+            LIMIT $2
+        `;
+
+        const result = await this.db.query(query, [days, limit]);
+        return result.rows;
+    }
+
+    /**
+     * Rank users by sessions, time spent or distinct rooms visited
+     */
+    async listMostActive({ by = 'sessions', days, limit }) {
+        let whereClause = notBlocked('u.user_id');
+        const params = [];
+
+        if (days) {
+            params.push(days);
+            whereClause += ` AND s.joined_at >= NOW() - INTERVAL '1 day' * $${params.length}`;
+        }
+
+        let orderBy = 'total_sessions DESC';
+        if (by === 'time') {
+            orderBy = 'total_time_seconds DESC';
+        } else if (by === 'rooms') {
+            orderBy = 'rooms_visited DESC';
+        }
+
+        params.push(limit);
+
+        const query = `
+            SELECT
+                u.user_id,
+                u.username,
+                u.user_avatar,
+                u.verification_status,
+                u.supporter_level,
+                u.followers_count,
+                COUNT(DISTINCT s.session_id) as total_sessions,
+                COALESCE(SUM(s.duration_seconds), 0)::BIGINT as total_time_seconds,
+                COUNT(DISTINCT s.room_id) as rooms_visited,
+                MAX(s.joined_at) as last_active,
+                AVG(s.duration_seconds)::INTEGER as avg_session_duration
+            FROM users u
+            JOIN sessions s ON u.user_id = s.user_id
+            WHERE ${whereClause}
+            GROUP BY u.user_id, u.username, u.user_avatar, u.verification_status, u.supporter_level, u.followers_count
+            ORDER BY ${orderBy}
+            LIMIT $${params.length}
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Insert or refresh a user seen in a room listing; null fields keep their
+     * stored values (new users start their counts at 0). For a known user,
+     * every tracked profile field that changed is written to the activity
+     * log at `seenAt` (see lib/profileHistory.js); returns those changes.
+     */
+    async upsert(user, seenAt) {
+        const fields = Object.keys(PROFILE_CHANGE_TYPES).join(', ');
+
+        const previous = await this.db.query(
+            `SELECT ${fields} FROM users WHERE user_id = $1 FOR UPDATE`,
+            [user.user_id]
+        );
+
+        const result = await this.db.query(
+            `INSERT INTO users (
+                user_id, username, user_avatar, followers_count, following_count, friends_count,
+                supporter_level, verification_status, first_seen, last_seen
+            )
+            VALUES ($1, $2, $3, COALESCE($4, 0), COALESCE($5, 0), COALESCE($6, 0), COALESCE($7, 0), $8, $9, $9)
+            ON CONFLICT (user_id) DO UPDATE SET
+                username = COALESCE(EXCLUDED.username, users.username),
+                user_avatar = COALESCE(EXCLUDED.user_avatar, users.user_avatar),
+                followers_count = COALESCE($4, users.followers_count),
+                following_count = COALESCE($5, users.following_count),
+                friends_count = COALESCE($6, users.friends_count),
+                supporter_level = COALESCE($7, users.supporter_level),
+                verification_status = COALESCE(EXCLUDED.verification_status, users.verification_status),
+                last_seen = GREATEST(users.last_seen, EXCLUDED.last_seen),
+                updated_at = NOW()
+            RETURNING ${fields}`,
+            [
+                user.user_id, user.username, user.user_avatar,
+                user.followers_count, user.following_count, user.friends_count,
+                user.supporter_level, user.verification_status, seenAt
+            ]
+        );
+
+        if (previous.rows.length === 0) {
+            return [];
+        }
+
+        const changes = diffProfile(previous.rows[0], result.rows[0]);
+        if (changes.length > 0) {
+            await this.db.query(
+                `INSERT INTO user_activity_log (user_id, activity_type, activity_data, activity_time)
+                 SELECT $1, change.activity_type, change.activity_data, $3
+                 FROM jsonb_to_recordset($2::jsonb) as change(activity_type VARCHAR(50), activity_data JSONB)`,
+                [user.user_id, JSON.stringify(changes), seenAt]
+            );
+        }
+        return changes;
+    }
+
+    async incrementSessionCount(userId) {
+        await this.db.query(
+            `UPDATE users SET total_sessions = COALESCE(total_sessions, 0) + 1 WHERE user_id = $1`,
+            [userId]
+        );
+    }
+
+    async addDuration(userId, seconds) {
+        await this.db.query(
+            `UPDATE users
+             SET total_duration_seconds = COALESCE(total_duration_seconds, 0) + $2
+             WHERE user_id = $1`,
+            [userId, seconds]
+        );
+    }
+}
+
+module.exports = UserRepository;
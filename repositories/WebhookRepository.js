@@ -0,0 +1,250 @@
+const SUBSCRIPTION_COLUMNS = `
+    subscription_id,
+    url,
+    description,
+    event_types,
+    user_ids,
+    room_ids,
+    languages,
+    skill_levels,
+    is_active,
+    created_at,
+    updated_at
+`;
+
+/**
+ * Data access for webhook subscriptions, their delivery log and the
+ * dispatcher's position in the change feed
+ */
+class WebhookRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Insert a subscription from validated column values; the secret is not returned
+     */
+    async create(values) {
+        const columns = Object.keys(values);
+        const placeholders = columns.map((_, i) => `$${i + 1}`);
+
+        const result = await this.db.query(
+            `INSERT INTO webhook_subscriptions (${columns.join(', ')})
+             VALUES (${placeholders.join(', ')})
+             RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            Object.values(values)
+        );
+        return result.rows[0];
+    }
+
+    async list() {
+        const result = await this.db.query(
+            `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions ORDER BY subscription_id ASC`
+        );
+        return result.rows;
+    }
+
+    async findById(subscriptionId) {
+        const result = await this.db.query(
+            `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE subscription_id = $1`,
+            [subscriptionId]
+        );
+        return result.rows[0] || null;
+    }
+
+    async update(subscriptionId, values) {
+        const columns = Object.keys(values);
+        const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+
+        const result = await this.db.query(
+            `UPDATE webhook_subscriptions
+             SET ${assignments.join(', ')}, updated_at = NOW()
+             WHERE subscription_id = $1
+             RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [subscriptionId, ...Object.values(values)]
+        );
+        return result.rows[0] || null;
+    }
+
+    async delete(subscriptionId) {
+        const result = await this.db.query(
+            'DELETE FROM webhook_subscriptions WHERE subscription_id = $1 RETURNING subscription_id',
+            [subscriptionId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Event types and filters of every active subscription
+     */
+    async listActiveFilters() {
+        const result = await this.db.query(
+            `SELECT subscription_id, event_types, user_ids, room_ids, languages, skill_levels
+             FROM webhook_subscriptions
+             WHERE is_active = true`
+        );
+        return result.rows;
+    }
+
+    // ============================================
+    // DELIVERY LOG
+    // ============================================
+
+    _deliveryFilter(subscriptionId, { status, eventType }) {
+        let whereClause = 'subscription_id = $1';
+        const params = [subscriptionId];
+
+        if (status) {
+            params.push(status);
+            whereClause += ` AND status = $${params.length}`;
+        }
+
+        if (eventType) {
+            params.push(eventType);
+            whereClause += ` AND event_type = $${params.length}`;
+        }
+
+        return { whereClause, params };
+    }
+
+    async listDeliveries(subscriptionId, filters, { limit, offset }) {
+        const { whereClause, params } = this._deliveryFilter(subscriptionId, filters);
+
+        const query = `
+            SELECT
+                delivery_id,
+                event_id,
+                event_type,
+                status,
+                attempts,
+                last_status_code,
+                last_error,
+                next_attempt_at,
+                created_at,
+                delivered_at,
+                payload
+            FROM webhook_deliveries
+            WHERE ${whereClause}
+            ORDER BY created_at DESC, delivery_id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `;
+
+        const result = await this.db.query(query, [...params, limit, offset]);
+        return result.rows;
+    }
+
+    async countDeliveries(subscriptionId, filters) {
+        const { whereClause, params } = this._deliveryFilter(subscriptionId, filters);
+
+        const result = await this.db.query(
+            `SELECT COUNT(*) as total FROM webhook_deliveries WHERE ${whereClause}`,
+            params
+        );
+        return parseInt(result.rows[0].total);
+    }
+
+    async queueDelivery(subscriptionId, payload) {
+        const result = await this.db.query(
+            `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (subscription_id, event_id) DO NOTHING`,
+            [subscriptionId, payload.id, payload.type, JSON.stringify(payload)]
+        );
+        return result.rowCount;
+    }
+
+    async retryDelivery(subscriptionId, deliveryId) {
+        const result = await this.db.query(
+            `UPDATE webhook_deliveries
+             SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+             WHERE subscription_id = $1 AND delivery_id = $2
+             RETURNING delivery_id`,
+            [subscriptionId, deliveryId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Claim up to `limit` due deliveries of active subscriptions. Claiming pushes
+     * next_attempt_at forward by `leaseSeconds`, so several workers never send
+     * the same delivery at once and a crashed worker's claims expire.
+     */
+    async claimDue(limit, leaseSeconds) {
+        const result = await this.db.query(
+            `UPDATE webhook_deliveries d
+             SET next_attempt_at = NOW() + INTERVAL '1 second' * $2
+             FROM webhook_subscriptions s
+             WHERE d.subscription_id = s.subscription_id
+                AND d.delivery_id IN (
+                    SELECT dd.delivery_id
+                    FROM webhook_deliveries dd
+                    JOIN webhook_subscriptions ss ON dd.subscription_id = ss.subscription_id
+                    WHERE dd.status = 'pending' AND dd.next_attempt_at <= NOW() AND ss.is_active = true
+                    ORDER BY dd.next_attempt_at ASC
+                    LIMIT $1
+                    FOR UPDATE OF dd SKIP LOCKED
+                )
+             RETURNING d.delivery_id, d.subscription_id, d.event_type, d.payload, d.attempts, s.url, s.secret`,
+            [limit, leaseSeconds]
+        );
+        return result.rows;
+    }
+
+    async markDelivered(deliveryId, { attempts, statusCode }) {
+        await this.db.query(
+            `UPDATE webhook_deliveries
+             SET status = 'success', attempts = $2, last_status_code = $3, last_error = NULL,
+                 next_attempt_at = NULL, delivered_at = NOW()
+             WHERE delivery_id = $1`,
+            [deliveryId, attempts, statusCode]
+        );
+    }
+
+    /**
+     * Record a failed attempt; retryInSeconds = null gives up for good
+     */
+    async markAttemptFailed(deliveryId, { attempts, statusCode, error, retryInSeconds }) {
+        await this.db.query(
+            `UPDATE webhook_deliveries
+             SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+                 next_attempt_at = NOW() + INTERVAL '1 second' * $6
+             WHERE delivery_id = $1`,
+            [
+                deliveryId,
+                retryInSeconds === null ? 'failed' : 'pending',
+                attempts,
+                statusCode,
+                error,
+                retryInSeconds
+            ]
+        );
+    }
+
+    // ============================================
+    // DISPATCH STATE
+    // ============================================
+
+    async tryLockDispatch(lockKey) {
+        const result = await this.db.query('SELECT pg_try_advisory_xact_lock($1) as locked', [lockKey]);
+        return result.rows[0].locked;
+    }
+
+    /**
+     * Last change feed event id fanned out, or null before the first run
+     */
+    async getDispatchPosition() {
+        const result = await this.db.query('SELECT last_event_id FROM webhook_dispatch_state WHERE id = 1');
+        return result.rows.length > 0 ? result.rows[0].last_event_id : null;
+    }
+
+    async setDispatchPosition(eventId) {
+        await this.db.query(
+            `INSERT INTO webhook_dispatch_state (id, last_event_id, updated_at)
+             VALUES (1, $1, NOW())
+             ON CONFLICT (id) DO UPDATE SET last_event_id = EXCLUDED.last_event_id, updated_at = NOW()`,
+            [eventId]
+        );
+    }
+}
+
+module.exports = WebhookRepository;
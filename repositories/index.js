@@ -0,0 +1,34 @@
+const db = require('../db');
+const UserRepository = require('./UserRepository');
+const RoomRepository = require('./RoomRepository');
+const SessionRepository = require('./SessionRepository');
+const StatsRepository = require('./StatsRepository');
+const WebhookRepository = require('./WebhookRepository');
+const AnalyticsRepository = require('./AnalyticsRepository');
+const ApiKeyRepository = require('./ApiKeyRepository');
+const PrivacyRepository = require('./PrivacyRepository');
+const RetentionRepository = require('./RetentionRepository');
+
+/**
+ * Build the repositories over any executor with query(text, params):
+ * the database itself, or the client handed out by db.transaction()
+ */
+function createRepositories(executor) {
+    return {
+        users: new UserRepository(executor),
+        rooms: new RoomRepository(executor),
+        sessions: new SessionRepository(executor),
+        stats: new StatsRepository(executor),
+        webhooks: new WebhookRepository(executor),
+        analytics: new AnalyticsRepository(executor),
+        apiKeys: new ApiKeyRepository(executor),
+        privacy: new PrivacyRepository(executor),
+        retention: new RetentionRepository(executor)
+    };
+}
+
+module.exports = {
+    ...createRepositories(db),
+    createRepositories,
+    transaction: (fn) => db.transaction((client) => fn(createRepositories(client)))
+};
@@ -1,75 +1,99 @@
 const express = require('express');
 const router = express.Router();
-const pool = require('../db');
+const { users, rooms, sessions, stats, retention, transaction } = require('../repositories');
+const { parsePagination, buildPage } = require('../lib/pagination');
+const { validate, rules } = require('../middleware/validate');
+const { cached } = require('../middleware/cache');
+const { requireScope } = require('../middleware/auth');
+const { BUCKETS, resolveWindow } = require('../lib/occupancy');
+const profileViews = require('../lib/profileViews');
+const { highlight } = require('../lib/search');
+const { roomFilterRules, pickRoomFilters } = require('../lib/roomFilters');
+const { PROFILE_CHANGE_TYPES, aliasTimeline } = require('../lib/profileHistory');
+
+// Everything here is a read except recording a profile view
+router.get('*', requireScope('read'));
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
 /**
- * Record profile view when user profile is accessed
+ * Record profile view when user profile is accessed.
+ * Returns { counted, reason, profile_views_count }, or null when recording failed.
  */
 async function recordProfileView(userId, req) {
     try {
-        const viewerIp = req.ip || req.connection.remoteAddress || 'unknown';
-        const viewerUserAgent = req.get('User-Agent') || 'Unknown';
-
-        await pool.query(
-            `INSERT INTO profile_views (viewed_user_id, viewer_ip, viewer_user_agent, viewed_at)
-             VALUES ($1, $2, $3, NOW())
-             ON CONFLICT DO NOTHING`,
-            [userId, viewerIp.substring(0, 50), viewerUserAgent.substring(0, 255)]
-        );
+        return await profileViews.recordProfileView(userId, {
+            ip: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('User-Agent')
+        });
     } catch (error) {
         // Silently fail - don't break the request if view recording fails
         console.error('Failed to record profile view:', error.message);
+        return null;
+    }
+}
+
+// Fields search results carry match highlights for
+const USER_SEARCH_FIELDS = ['username', 'user_id'];
+const ROOM_SEARCH_FIELDS = ['topic', 'language', 'second_language', 'creator_name'];
+
+const SEARCH_TYPES = ['users', 'rooms'];
+
+function withHighlights(rows, fields, q) {
+    return rows.map(row => ({ ...row, highlights: highlight(row, fields, q) }));
+}
+
+const DAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Turn (day_of_week, hour) rows into 7x24 matrices, Monday first
+ */
+function buildHeatmap(rows) {
+    const emptyWeek = () => DAY_LABELS.map(() => new Array(24).fill(0));
+    const sessionCounts = emptyWeek();
+    const minutes = emptyWeek();
+    let peak = null;
+
+    for (const row of rows) {
+        const day = row.day_of_week - 1;
+        const bucketMinutes = Math.round(parseInt(row.seconds) / 60);
+        sessionCounts[day][row.hour] = parseInt(row.sessions);
+        minutes[day][row.hour] = bucketMinutes;
+
+        if (!peak || bucketMinutes > peak.minutes) {
+            peak = { day: DAY_LABELS[day], hour: row.hour, minutes: bucketMinutes };
+        }
     }
+
+    return {
+        day_labels: DAY_LABELS,
+        sessions: sessionCounts,
+        minutes,
+        total_minutes: minutes.flat().reduce((sum, value) => sum + value, 0),
+        peak
+    };
 }
 
 // ============================================
-// 1. SEARCH USERS (ENHANCED WITH FUZZY SEARCH)
+// 1. SEARCH USERS (FUZZY)
 // ============================================
-router.get('/users/search', async (req, res) => {
+router.get('/users/search', validate({
+    query: {
+        q: rules.searchQuery,
+        limit: rules.limit(20, 100)
+    }
+}), async (req, res) => {
     try {
-        const { q, limit = 20 } = req.query;
+        const { q, limit } = req.query;
 
         if (!q || q.length < 2) {
             return res.json([]);
         }
 
-        const query = `
-            SELECT 
-                user_id,
-                username,
-                user_avatar,
-                followers_count,
-                following_count,
-                friends_count,
-                verification_status,
-                supporter_level,
-                last_seen,
-                total_sessions
-            FROM users
-            WHERE 
-                LOWER(username) LIKE LOWER($1) OR
-                LOWER(user_id) LIKE LOWER($1)
-            ORDER BY 
-                CASE 
-                    WHEN LOWER(username) = LOWER($2) THEN 1
-                    WHEN LOWER(username) LIKE LOWER($3) THEN 2
-                    ELSE 3
-                END,
-                followers_count DESC NULLS LAST,
-                total_sessions DESC NULLS LAST
-            LIMIT $4
-        `;
-
-        const searchTerm = `%${q}%`;
-        const exactTerm = q;
-        const startsWithTerm = `${q}%`;
-
-        const result = await pool.query(query, [searchTerm, exactTerm, startsWithTerm, limit]);
-        res.json(result.rows);
+        const rows = await transaction(repos => repos.users.search(q, limit));
+        res.json(withHighlights(rows, USER_SEARCH_FIELDS, q));
 
     } catch (error) {
         console.error('Search error:', error);
@@ -80,72 +104,35 @@ router.get('/users/search', async (req, res) => {
 // ============================================
 // 2. GET USER PROFILE (ENHANCED)
 // ============================================
-router.get('/users/:userId', async (req, res) => {
+router.get('/users/:userId', validate({
+    params: { userId: rules.userId },
+    query: { record_view: rules.flag(false) }
+}), (req, res, next) => {
+    // Recording a view is a write, gated like POST /users/:userId/view
+    return req.query.record_view ? requireScope('write-views')(req, res, next) : next();
+}, async (req, res) => {
     try {
         const { userId } = req.params;
-        const { record_view = 'false' } = req.query;
-
-        // Get user basic info with all enhanced fields
-        const userQuery = `
-            SELECT 
-                user_id,
-                username,
-                user_avatar,
-                followers_count,
-                following_count,
-                friends_count,
-                supporter_level,
-                verification_status,
-                first_seen,
-                last_seen,
-                profile_views_count,
-                total_sessions,
-                total_duration_seconds,
-                created_at,
-                updated_at
-            FROM users
-            WHERE user_id = $1 OR LOWER(username) = LOWER($1)
-        `;
-
-        const userResult = await pool.query(userQuery, [userId]);
-
-        if (userResult.rows.length === 0) {
+        const { record_view } = req.query;
+
+        const user = await users.findByIdOrUsername(userId);
+
+        if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const user = userResult.rows[0];
-
         // Get user statistics
-        const statsQuery = `
-            SELECT 
-                COUNT(DISTINCT room_id) as total_rooms_visited,
-                COUNT(DISTINCT session_id) as total_sessions,
-                COALESCE(SUM(duration_seconds), 0)::BIGINT as total_duration_seconds,
-                COALESCE(AVG(duration_seconds), 0)::INTEGER as avg_session_duration,
-                MAX(joined_at) as last_active,
-                COUNT(CASE WHEN is_currently_active THEN 1 END) > 0 as is_currently_active
-            FROM sessions
-            WHERE user_id = $1
-        `;
-        const statsResult = await pool.query(statsQuery, [user.user_id]);
-        const stats = statsResult.rows[0] || {};
+        const stats = await users.getStatistics(user.user_id);
 
         // Get favorite language
-        const favLangQuery = `
-            SELECT r.language, COUNT(*) as visit_count
-            FROM sessions s
-            JOIN rooms r ON s.room_id = r.room_id
-            WHERE s.user_id = $1
-            GROUP BY r.language
-            ORDER BY visit_count DESC
-            LIMIT 1
-        `;
-        const favLangResult = await pool.query(favLangQuery, [user.user_id]);
-        const favoriteLanguage = favLangResult.rows[0]?.language || null;
+        const favoriteLanguage = await users.getFavoriteLanguage(user.user_id);
 
         // Record profile view if requested
-        if (record_view === 'true') {
-            await recordProfileView(user.user_id, req);
+        if (record_view) {
+            const view = await recordProfileView(user.user_id, req);
+            if (view && view.counted) {
+                user.profile_views_count = view.profile_views_count;
+            }
         }
 
         res.json({
@@ -179,28 +166,21 @@ router.get('/users/:userId', async (req, res) => {
 // ============================================
 // 3. GET USER PROFILE HISTORY (NEW)
 // ============================================
-router.get('/users/:userId/history', async (req, res) => {
+router.get('/users/:userId/history', validate({
+    params: { userId: rules.userId },
+    query: {
+        limit: rules.limit(50),
+        type: { type: 'string', maxLength: 50, default: 'all' }
+    }
+}), async (req, res) => {
     try {
         const { userId } = req.params;
-        const { limit = 50, type = 'all' } = req.query;
-
-        const query = `
-            SELECT 
-                log_id,
-                activity_type,
-                activity_data,
-                activity_time
-            FROM user_activity_log
-            WHERE user_id = $1 
-                AND ($2 = 'all' OR activity_type = $2)
-            ORDER BY activity_time DESC
-            LIMIT $3
-        `;
-
-        const result = await pool.query(query, [userId, type, limit]);
+        const { limit, type } = req.query;
+
+        const rows = await users.getActivityLog(userId, { type, limit });
 
         // Parse JSON data for easier consumption
-        const formattedResults = result.rows.map(row => ({
+        const formattedResults = rows.map(row => ({
             ...row,
             activity_data: typeof row.activity_data === 'string' 
                 ? JSON.parse(row.activity_data) 
@@ -218,70 +198,36 @@ router.get('/users/:userId/history', async (req, res) => {
 // ============================================
 // 4. GET USER ROOM HISTORY (ENHANCED)
 // ============================================
-router.get('/users/:userId/rooms', async (req, res) => {
+router.get('/users/:userId/rooms', validate({
+    params: { userId: rules.userId },
+    query: {
+        limit: rules.limit(50),
+        offset: rules.offset,
+        cursor: rules.cursor,
+        language: rules.filterValue,
+        skill_level: rules.filterValue
+    }
+}), async (req, res) => {
     try {
         const { userId } = req.params;
-        const { limit = 50, offset = 0, language, skill_level } = req.query;
+        const { language, skill_level } = req.query;
 
-        let whereClause = 's.user_id = $1';
-        const params = [userId];
-        let paramCount = 1;
-
-        if (language) {
-            paramCount++;
-            whereClause += ` AND r.language = $${paramCount}`;
-            params.push(language);
+        const page = parsePagination(req.query, 'user-rooms', { defaultLimit: 50 });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
         }
 
-        if (skill_level) {
-            paramCount++;
-            whereClause += ` AND r.skill_level = $${paramCount}`;
-            params.push(skill_level);
-        }
+        const filters = { language, skill_level };
+        const rows = await rooms.listVisitedByUser(userId, filters, page);
+
+        // Total count is only computed for offset paging
+        const total = page.cursor ? null : await rooms.countVisitedByUser(userId, filters);
 
-        const query = `
-            SELECT 
-                r.room_id,
-                r.language,
-                r.second_language,
-                r.skill_level,
-                r.topic,
-                r.is_active,
-                r.current_users_count,
-                r.max_capacity,
-                MAX(s.joined_at) as last_visit,
-                MIN(s.joined_at) as first_visit,
-                COUNT(s.session_id) as total_visits,
-                SUM(s.duration_seconds) as total_time_seconds,
-                AVG(s.duration_seconds)::INTEGER as avg_session_duration
-            FROM sessions s
-            JOIN rooms r ON s.room_id = r.room_id
-            WHERE ${whereClause}
-            GROUP BY r.room_id, r.language, r.second_language, r.skill_level, r.topic, r.is_active, r.current_users_count, r.max_capacity
-            ORDER BY last_visit DESC
-            LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
-        `;
-
-        params.push(limit, offset);
-        const result = await pool.query(query, params);
-
-        // Get total count
-        const countQuery = `
-            SELECT COUNT(DISTINCT s.room_id) as total
-            FROM sessions s
-            JOIN rooms r ON s.room_id = r.room_id
-            WHERE ${whereClause}
-        `;
-        const countResult = await pool.query(countQuery, params.slice(0, paramCount));
+        const { items, pagination } = buildPage(rows, { scope: 'user-rooms', idField: 'room_id', total, ...page });
 
         res.json({
-            rooms: result.rows,
-            pagination: {
-                total: parseInt(countResult.rows[0].total),
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                has_more: parseInt(offset) + result.rows.length < parseInt(countResult.rows[0].total)
-            }
+            rooms: items,
+            pagination
         });
 
     } catch (error) {
@@ -293,29 +239,30 @@ router.get('/users/:userId/rooms', async (req, res) => {
 // ============================================
 // 5. GET USER SESSIONS IN A ROOM (FIXED)
 // ============================================
-router.get('/users/:userId/rooms/:roomId/sessions', async (req, res) => {
+router.get('/users/:userId/rooms/:roomId/sessions', validate({
+    params: { userId: rules.userId, roomId: rules.roomId },
+    query: {
+        limit: rules.limit(100),
+        offset: rules.offset,
+        cursor: rules.cursor
+    }
+}), async (req, res) => {
     try {
         const { userId, roomId } = req.params;
-        const { limit = 100, offset = 0 } = req.query;
-
-        const query = `
-            SELECT
-                session_id,
-                joined_at,
-                left_at,
-                duration_seconds,
-                is_currently_active,
-                event_type,
-                user_position,
-                mic_was_on
-            FROM sessions
-            WHERE user_id = $1 AND room_id = $2
-            ORDER BY joined_at DESC
-            LIMIT $3 OFFSET $4
-        `;
-
-        const result = await pool.query(query, [userId, roomId, limit, offset]);
-        res.json(result.rows);
+
+        const page = parsePagination(req.query, 'user-room-sessions', { defaultLimit: 100 });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const rows = await sessions.listForUserInRoom(userId, roomId, page);
+        const total = page.cursor ? null : await sessions.countForUserInRoom(userId, roomId);
+        const { items, pagination } = buildPage(rows, { scope: 'user-room-sessions', idField: 'session_id', total, ...page });
+
+        res.json({
+            sessions: items,
+            pagination
+        });
 
     } catch (error) {
         console.error('Get sessions error:', error);
@@ -324,69 +271,97 @@ router.get('/users/:userId/rooms/:roomId/sessions', async (req, res) => {
 });
 
 // ============================================
-// 6. GET ROOM DETAILS (ENHANCED)
+// 6. TRENDING ROOMS (NEW)
 // ============================================
-router.get('/rooms/:roomId', async (req, res) => {
+//
+// Sections 6-8 are registered before /rooms/:roomId, which would otherwise
+// match /rooms/trending, /rooms/active and /rooms/search. All room listings
+// take the filters described in lib/roomFilters.js.
+router.get('/rooms/trending', validate({
+    query: {
+        hours: rules.hours(24),
+        limit: rules.limit(20, 100),
+        ...roomFilterRules
+    }
+}), cached(60), async (req, res) => {
+    try {
+        const { hours, limit } = req.query;
+
+        res.json(await rooms.listTrending(pickRoomFilters(req.query), { hours, limit }));
+
+    } catch (error) {
+        console.error('Trending rooms error:', error);
+        res.status(500).json({ error: 'Failed to get trending rooms', details: error.message });
+    }
+});
+
+// ============================================
+// 7. ACTIVE ROOMS (NEW)
+// ============================================
+router.get('/rooms/active', validate({
+    query: {
+        limit: rules.limit(50),
+        sort: { type: 'string', enum: ['users', 'recent', 'popular'], default: 'users' },
+        ...roomFilterRules
+    }
+}), async (req, res) => {
+    try {
+        const { limit, sort } = req.query;
+
+        res.json(await rooms.listActive(pickRoomFilters(req.query), { sort, limit }));
+
+    } catch (error) {
+        console.error('Active rooms error:', error);
+        res.status(500).json({ error: 'Failed to get active rooms', details: error.message });
+    }
+});
+
+// ============================================
+// 8. SEARCH ROOMS (FUZZY)
+// ============================================
+router.get('/rooms/search', validate({
+    query: {
+        q: rules.searchQuery,
+        limit: rules.limit(20, 100),
+        active_only: rules.flag(false),
+        ...roomFilterRules
+    }
+}), async (req, res) => {
+    try {
+        const { q, limit, active_only } = req.query;
+
+        if (!q || q.length < 2) {
+            return res.json([]);
+        }
+
+        const rows = await transaction(repos =>
+            repos.rooms.search(q, pickRoomFilters(req.query), { activeOnly: active_only, limit })
+        );
+        res.json(withHighlights(rows, ROOM_SEARCH_FIELDS, q));
+
+    } catch (error) {
+        console.error('Search rooms error:', error);
+        res.status(500).json({ error: 'Failed to search rooms', details: error.message });
+    }
+});
+
+// ============================================
+// 9. GET ROOM DETAILS (ENHANCED)
+// ============================================
+router.get('/rooms/:roomId', validate({
+    params: { roomId: rules.roomId }
+}), async (req, res) => {
     try {
         const { roomId } = req.params;
 
-        // Get room basic info with all fields
-        const roomQuery = `
-            SELECT 
-                room_id,
-                channel,
-                platform,
-                topic,
-                language,
-                second_language,
-                skill_level,
-                max_capacity,
-                allows_unlimited,
-                is_locked,
-                mic_allowed,
-                mic_required,
-                no_mic,
-                al_mic,
-                url,
-                creator_user_id,
-                creator_name,
-                creator_avatar,
-                creator_is_verified,
-                is_active,
-                is_full,
-                is_empty,
-                current_users_count,
-                first_seen,
-                last_activity,
-                created_at,
-                updated_at
-            FROM rooms
-            WHERE room_id = $1
-        `;
-
-        const roomResult = await pool.query(roomQuery, [roomId]);
-
-        if (roomResult.rows.length === 0) {
+        const room = await rooms.findById(roomId);
+
+        if (!room) {
             return res.status(404).json({ error: 'Room not found' });
         }
 
         // Get room statistics
-        const statsQuery = `
-            SELECT 
-                COUNT(DISTINCT user_id) as total_unique_participants,
-                COUNT(session_id) as total_sessions,
-                COALESCE(AVG(duration_seconds), 0)::INTEGER as avg_duration_seconds,
-                COALESCE(MAX(duration_seconds), 0) as max_duration_seconds,
-                MIN(joined_at) as first_activity,
-                MAX(COALESCE(left_at, joined_at)) as last_activity,
-                COUNT(CASE WHEN is_currently_active THEN 1 END) as currently_active_users
-            FROM sessions
-            WHERE room_id = $1
-        `;
-        const statsResult = await pool.query(statsQuery, [roomId]);
-        const stats = statsResult.rows[0] || {};
-
-        const room = roomResult.rows[0];
+        const stats = await rooms.getStatistics(roomId);
 
         res.json({
             ...room,
@@ -409,52 +384,17 @@ router.get('/rooms/:roomId', async (req, res) => {
 });
 
 // ============================================
-// 7. GET ROOM PARTICIPANTS (ENHANCED)
+// 10. GET ROOM PARTICIPANTS (ENHANCED)
 // ============================================
-router.get('/rooms/:roomId/participants', async (req, res) => {
+router.get('/rooms/:roomId/participants', validate({
+    params: { roomId: rules.roomId },
+    query: { current_only: rules.flag(true) }
+}), async (req, res) => {
     try {
         const { roomId } = req.params;
-        const { current_only = 'true' } = req.query;
-
-        let query;
-        if (current_only === 'true') {
-            query = `
-                SELECT
-                    u.user_id,
-                    u.username,
-                    u.user_avatar,
-                    u.followers_count,
-                    u.verification_status,
-                    u.supporter_level,
-                    s.joined_at,
-                    s.user_position,
-                    s.mic_was_on
-                FROM sessions s
-                JOIN users u ON s.user_id = u.user_id
-                WHERE s.room_id = $1 AND s.is_currently_active = true
-                ORDER BY s.user_position ASC NULLS LAST, s.joined_at ASC
-            `;
-        } else {
-            query = `
-                SELECT DISTINCT ON (u.user_id)
-                    u.user_id,
-                    u.username,
-                    u.user_avatar,
-                    u.followers_count,
-                    u.verification_status,
-                    u.supporter_level,
-                    MAX(s.joined_at) as last_joined,
-                    COUNT(s.session_id) as total_sessions
-                FROM sessions s
-                JOIN users u ON s.user_id = u.user_id
-                WHERE s.room_id = $1
-                GROUP BY u.user_id, u.username, u.user_avatar, u.followers_count, u.verification_status, u.supporter_level
-                ORDER BY u.user_id, last_joined DESC
-            `;
-        }
+        const { current_only } = req.query;
 
-        const result = await pool.query(query, [roomId]);
-        res.json(result.rows);
+        res.json(await rooms.listParticipants(roomId, { currentOnly: current_only }));
 
     } catch (error) {
         console.error('Get participants error:', error);
@@ -463,44 +403,38 @@ router.get('/rooms/:roomId/participants', async (req, res) => {
 });
 
 // ============================================
-// 8. GET ROOM TIMELINE (ENHANCED)
+// 11. GET ROOM TIMELINE (ENHANCED)
 // ============================================
-router.get('/rooms/:roomId/timeline', async (req, res) => {
+router.get('/rooms/:roomId/timeline', validate({
+    params: { roomId: rules.roomId },
+    query: {
+        limit: rules.limit(100),
+        offset: rules.offset,
+        cursor: rules.cursor,
+        event_type: { type: 'string', enum: ['join', 'leave'] }
+    }
+}), async (req, res) => {
     try {
         const { roomId } = req.params;
-        const { limit = 100, offset = 0, event_type } = req.query;
-
-        let whereClause = 's.room_id = $1';
-        const params = [roomId];
+        const { event_type } = req.query;
 
-        if (event_type && (event_type === 'join' || event_type === 'leave')) {
-            params.push(event_type);
-            whereClause += ` AND s.event_type = $${params.length}`;
+        const page = parsePagination(req.query, 'room-timeline', { defaultLimit: 100 });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
         }
 
-        const query = `
-            SELECT
-                s.session_id,
-                s.user_id,
-                u.username,
-                u.user_avatar,
-                u.verification_status,
-                s.joined_at,
-                s.left_at,
-                s.duration_seconds,
-                s.event_type,
-                s.is_currently_active
-            FROM sessions s
-            JOIN users u ON s.user_id = u.user_id
-            WHERE ${whereClause}
-            ORDER BY s.joined_at DESC
-            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
-        `;
-
-        params.push(limit, offset);
-        const result = await pool.query(query, params);
-
-        res.json(result.rows);
+        const filters = { eventType: event_type };
+        const rows = await sessions.listTimeline(roomId, filters, page);
+
+        // Total count is only computed for offset paging
+        const total = page.cursor ? null : await sessions.countTimeline(roomId, filters);
+
+        const { items, pagination } = buildPage(rows, { scope: 'room-timeline', idField: 'session_id', total, ...page });
+
+        res.json({
+            timeline: items,
+            pagination
+        });
 
     } catch (error) {
         console.error('Get timeline error:', error);
@@ -509,45 +443,37 @@ router.get('/rooms/:roomId/timeline', async (req, res) => {
 });
 
 // ============================================
-// 9. GET ROOM SNAPSHOTS (NEW)
+// 12. GET ROOM SNAPSHOTS (NEW)
 // ============================================
-router.get('/rooms/:roomId/snapshots', async (req, res) => {
+router.get('/rooms/:roomId/snapshots', validate({
+    params: { roomId: rules.roomId },
+    query: {
+        limit: rules.limit(50),
+        offset: rules.offset,
+        cursor: rules.cursor,
+        start_date: rules.date,
+        end_date: rules.date
+    }
+}), async (req, res) => {
     try {
         const { roomId } = req.params;
-        const { limit = 50, offset = 0, start_date, end_date } = req.query;
+        const { start_date, end_date } = req.query;
 
-        let whereClause = 'room_id = $1';
-        const params = [roomId];
-
-        if (start_date) {
-            params.push(start_date);
-            whereClause += ` AND snapshot_time >= $${params.length}`;
+        const page = parsePagination(req.query, 'room-snapshots', { defaultLimit: 50 });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
         }
 
-        if (end_date) {
-            params.push(end_date);
-            whereClause += ` AND snapshot_time <= $${params.length}`;
-        }
+        const filters = { start_date, end_date };
+        const rows = await rooms.listSnapshots(roomId, filters, page);
 
-        const query = `
-            SELECT 
-                snapshot_id,
-                room_id,
-                snapshot_time,
-                participants_count,
-                participants_json,
-                is_active
-            FROM room_snapshots
-            WHERE ${whereClause}
-            ORDER BY snapshot_time DESC
-            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
-        `;
-
-        params.push(limit, offset);
-        const result = await pool.query(query, params);
+        // Total count is only computed for offset paging
+        const total = page.cursor ? null : await rooms.countSnapshots(roomId, filters);
+
+        const { items, pagination } = buildPage(rows, { scope: 'room-snapshots', idField: 'snapshot_id', total, ...page });
 
         // Parse JSON for easier consumption
-        const formattedResults = result.rows.map(row => ({
+        const formattedResults = items.map(row => ({
             ...row,
             participants: typeof row.participants_json === 'string' 
                 ? JSON.parse(row.participants_json) 
@@ -555,22 +481,9 @@ router.get('/rooms/:roomId/snapshots', async (req, res) => {
             participants_json: undefined // Remove redundant field
         }));
 
-        // Get total count
-        const countQuery = `
-            SELECT COUNT(*) as total
-            FROM room_snapshots
-            WHERE ${whereClause}
-        `;
-        const countResult = await pool.query(countQuery, params.slice(0, params.length - 2));
-
         res.json({
             snapshots: formattedResults,
-            pagination: {
-                total: parseInt(countResult.rows[0].total),
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                has_more: parseInt(offset) + formattedResults.length < parseInt(countResult.rows[0].total)
-            }
+            pagination
         });
 
     } catch (error) {
@@ -580,46 +493,17 @@ router.get('/rooms/:roomId/snapshots', async (req, res) => {
 });
 
 // ============================================
-// 10. FIND SHARED ROOMS (ENHANCED)
+// 13. FIND SHARED ROOMS (ENHANCED)
 // ============================================
-router.get('/users/:user1Id/shared/:user2Id', async (req, res) => {
+router.get('/users/:user1Id/shared/:user2Id', validate({
+    params: { user1Id: rules.userId, user2Id: rules.userId },
+    query: { min_overlaps: { type: 'int', min: 1, max: 10000, default: 1 } }
+}), async (req, res) => {
     try {
         const { user1Id, user2Id } = req.params;
         const { min_overlaps = 1 } = req.query;
 
-        const query = `
-            SELECT
-                r.room_id,
-                r.language,
-                r.topic,
-                r.skill_level,
-                r.is_active,
-                COUNT(DISTINCT s1.session_id) as user1_sessions,
-                COUNT(DISTINCT s2.session_id) as user2_sessions,
-                COUNT(DISTINCT CASE 
-                    WHEN s1.joined_at <= COALESCE(s2.left_at, NOW()) 
-                    AND s2.joined_at <= COALESCE(s1.left_at, NOW())
-                    THEN s1.session_id 
-                END) as overlap_count,
-                MAX(LEAST(
-                    COALESCE(s1.left_at, NOW()),
-                    COALESCE(s2.left_at, NOW())
-                )) as last_overlap_time,
-                MIN(GREATEST(s1.joined_at, s2.joined_at)) as first_overlap_time
-            FROM rooms r
-            JOIN sessions s1 ON r.room_id = s1.room_id AND s1.user_id = $1
-            JOIN sessions s2 ON r.room_id = s2.room_id AND s2.user_id = $2
-            GROUP BY r.room_id, r.language, r.topic, r.skill_level, r.is_active
-            HAVING COUNT(DISTINCT CASE 
-                WHEN s1.joined_at <= COALESCE(s2.left_at, NOW()) 
-                AND s2.joined_at <= COALESCE(s1.left_at, NOW())
-                THEN s1.session_id 
-            END) >= $3
-            ORDER BY overlap_count DESC, last_overlap_time DESC
-        `;
-
-        const result = await pool.query(query, [user1Id, user2Id, min_overlaps]);
-        res.json(result.rows);
+        res.json(await sessions.findSharedRooms(user1Id, user2Id, { minOverlaps: min_overlaps }));
 
     } catch (error) {
         console.error('Shared rooms error:', error);
@@ -628,35 +512,18 @@ router.get('/users/:user1Id/shared/:user2Id', async (req, res) => {
 });
 
 // ============================================
-// 11. MOST STALKED USERS (ENHANCED)
+// 14. MOST STALKED USERS (ENHANCED)
 // ============================================
-router.get('/leaderboard/most-stalked', async (req, res) => {
+router.get('/leaderboard/most-stalked', validate({
+    query: {
+        days: rules.days(7),
+        limit: rules.limit(100)
+    }
+}), cached(120), async (req, res) => {
     try {
-        const { days = 7, limit = 100 } = req.query;
-
-        const query = `
-            SELECT
-                u.user_id,
-                u.username,
-                u.user_avatar,
-                u.followers_count,
-                u.verification_status,
-                u.supporter_level,
-                COUNT(pv.view_id) as views_in_period,
-                u.profile_views_count as total_views,
-                MAX(pv.viewed_at) as last_viewed
-            FROM users u
-            LEFT JOIN profile_views pv ON u.user_id = pv.viewed_user_id
-                AND pv.viewed_at >= NOW() - INTERVAL '1 day' * $1
-            WHERE u.profile_views_count > 0 OR COUNT(pv.view_id) > 0
-            GROUP BY u.user_id, u.username, u.user_avatar, u.followers_count, u.verification_status, u.supporter_level, u.profile_views_count
-            HAVING COUNT(pv.view_id) > 0
-            ORDER BY views_in_period DESC, total_views DESC
-            LIMIT $2
-        `;
-
-        const result = await pool.query(query, [days, limit]);
-        res.json(result.rows);
+        const { days, limit } = req.query;
+
+        res.json(await users.listMostViewed({ days, limit }));
 
     } catch (error) {
         console.error('Leaderboard error:', error);
@@ -665,383 +532,834 @@ router.get('/leaderboard/most-stalked', async (req, res) => {
 });
 
 // ============================================
-// 12. MOST ACTIVE USERS (NEW)
+// 15. MOST ACTIVE USERS (NEW)
+// ============================================
+router.get('/leaderboard/most-active', validate({
+    query: {
+        limit: rules.limit(100),
+        by: { type: 'string', enum: ['sessions', 'time', 'rooms'], default: 'sessions' },
+        days: rules.days()
+    }
+}), cached(120), async (req, res) => {
+    try {
+        const { limit, by, days } = req.query;
+
+        res.json(await users.listMostActive({ by, days, limit }));
+
+    } catch (error) {
+        console.error('Most active error:', error);
+        res.status(500).json({ error: 'Failed to get most active users', details: error.message });
+    }
+});
+
+// ============================================
+// 16. GLOBAL STATISTICS (ENHANCED)
+// ============================================
+router.get('/stats', cached(60), async (req, res) => {
+    try {
+        res.json(await stats.getGlobal());
+
+    } catch (error) {
+        console.error('Stats error:', error);
+        res.status(500).json({ error: 'Failed to get stats', details: error.message });
+    }
+});
+
+// ============================================
+// 17. LANGUAGE STATISTICS (NEW)
+// ============================================
+router.get('/stats/languages', validate({
+    query: { days: rules.days() }
+}), cached(300), async (req, res) => {
+    try {
+        const { days } = req.query;
+
+        res.json(await stats.getLanguages({ days }));
+
+    } catch (error) {
+        console.error('Language stats error:', error);
+        res.status(500).json({ error: 'Failed to get language statistics', details: error.message });
+    }
+});
+
+// ============================================
+// 18. SKILL LEVEL STATISTICS (NEW)
 // ============================================
-router.get('/leaderboard/most-active', async (req, res) => {
+router.get('/stats/skills', validate({
+    query: { days: rules.days() }
+}), cached(300), async (req, res) => {
     try {
-        const { limit = 100, by = 'sessions', days } = req.query;
+        const { days } = req.query;
+
+        res.json(await stats.getSkillLevels({ days }));
 
-        let dateFilter = '';
-        const params = [];
+    } catch (error) {
+        console.error('Skill stats error:', error);
+        res.status(500).json({ error: 'Failed to get skill level statistics', details: error.message });
+    }
+});
+
+// ============================================
+// 19. RECORD PROFILE VIEW (NEW POST ENDPOINT)
+// ============================================
+router.post('/users/:userId/view', requireScope('write-views'), validate({
+    params: { userId: rules.userId }
+}), async (req, res) => {
+    try {
+        const { userId } = req.params;
 
-        if (days) {
-            params.push(days);
-            dateFilter = `WHERE s.joined_at >= NOW() - INTERVAL '1 day' * $${params.length}`;
+        // Check if user exists
+        if (!(await users.exists(userId))) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        let orderBy = 'total_sessions DESC';
-        if (by === 'time') {
-            orderBy = 'total_time_seconds DESC';
-        } else if (by === 'rooms') {
-            orderBy = 'rooms_visited DESC';
+        const view = await recordProfileView(userId, req);
+        if (!view) {
+            return res.status(500).json({ error: 'Failed to record view' });
         }
 
-        params.push(limit);
-
-        const query = `
-            SELECT 
-                u.user_id,
-                u.username,
-                u.user_avatar,
-                u.verification_status,
-                u.supporter_level,
-                u.followers_count,
-                COUNT(DISTINCT s.session_id) as total_sessions,
-                COALESCE(SUM(s.duration_seconds), 0)::BIGINT as total_time_seconds,
-                COUNT(DISTINCT s.room_id) as rooms_visited,
-                MAX(s.joined_at) as last_active,
-                AVG(s.duration_seconds)::INTEGER as avg_session_duration
-            FROM users u
-            JOIN sessions s ON u.user_id = s.user_id
-            ${dateFilter}
-            GROUP BY u.user_id, u.username, u.user_avatar, u.verification_status, u.supporter_level, u.followers_count
-            ORDER BY ${orderBy}
-            LIMIT $${params.length}
-        `;
-
-        const result = await pool.query(query, params);
-        res.json(result.rows);
+        res.json({
+            success: true,
+            counted: view.counted,
+            reason: view.reason,
+            message: view.counted ? 'Profile view recorded' : 'Profile view not counted'
+        });
 
     } catch (error) {
-        console.error('Most active error:', error);
-        res.status(500).json({ error: 'Failed to get most active users', details: error.message });
+        console.error('Record view error:', error);
+        res.status(500).json({ error: 'Failed to record view', details: error.message });
     }
 });
 
 // ============================================
-// 13. TRENDING ROOMS (NEW)
+// 20. GET ROOM ANALYTICS (NEW)
 // ============================================
-router.get('/rooms/trending', async (req, res) => {
+router.get('/rooms/:roomId/analytics', validate({
+    params: { roomId: rules.roomId },
+    query: { days: rules.days(30) }
+}), async (req, res) => {
     try {
-        const { hours = 24, limit = 20, language, skill_level } = req.query;
+        const { roomId } = req.params;
+        const { days } = req.query;
+
+        res.json(await rooms.getAnalytics(roomId, { days }));
+
+    } catch (error) {
+        console.error('Room analytics error:', error);
+        res.status(500).json({ error: 'Failed to get room analytics', details: error.message });
+    }
+});
+
+// ============================================
+// 21. USER ACTIVITY HEATMAP
+// ============================================
+router.get('/users/:userId/heatmap', validate({
+    params: { userId: rules.userId },
+    query: {
+        days: rules.days(90),
+        tz: rules.timeZone
+    }
+}), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { days, tz } = req.query;
+
+        if (!(await users.exists(userId))) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const rows = await sessions.getHourOfWeekActivity({ userId }, { days, timeZone: tz });
+
+        res.json({
+            user_id: userId,
+            timezone: tz,
+            days,
+            ...buildHeatmap(rows)
+        });
 
-        let whereClause = `s.joined_at >= NOW() - INTERVAL '1 hour' * $1`;
+    } catch (error) {
+        console.error('User heatmap error:', error);
+        res.status(500).json({ error: 'Failed to get user heatmap', details: error.message });
+    }
+});
 
-        const params = [hours];
+// ============================================
+// 22. ROOM ACTIVITY HEATMAP
+// ============================================
+router.get('/rooms/:roomId/heatmap', validate({
+    params: { roomId: rules.roomId },
+    query: {
+        days: rules.days(90),
+        tz: rules.timeZone
+    }
+}), async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const { days, tz } = req.query;
 
-        if (language) {
-            params.push(language);
-            whereClause += ` AND r.language = $${params.length}`;
+        if (!(await rooms.findById(roomId))) {
+            return res.status(404).json({ error: 'Room not found' });
         }
 
-        if (skill_level) {
-            params.push(skill_level);
-            whereClause += ` AND r.skill_level = $${params.length}`;
+        const rows = await sessions.getHourOfWeekActivity({ roomId }, { days, timeZone: tz });
+
+        res.json({
+            room_id: roomId,
+            timezone: tz,
+            days,
+            ...buildHeatmap(rows)
+        });
+
+    } catch (error) {
+        console.error('Room heatmap error:', error);
+        res.status(500).json({ error: 'Failed to get room heatmap', details: error.message });
+    }
+});
+
+// ============================================
+// 23. USER COMPANIONS
+// ============================================
+router.get('/users/:userId/companions', validate({
+    params: { userId: rules.userId },
+    query: {
+        days: rules.days(),
+        min_overlap_seconds: { type: 'int', min: 0, max: 86400 * 365, default: 60 },
+        limit: rules.limit(20, 100)
+    }
+}), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { days, min_overlap_seconds, limit } = req.query;
+
+        if (!(await users.exists(userId))) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        params.push(limit);
-
-        const query = `
-            SELECT
-                r.room_id,
-                r.topic,
-                r.language,
-                r.second_language,
-                r.skill_level,
-                r.is_active,
-                r.current_users_count,
-                r.max_capacity,
-                r.is_locked,
-                r.creator_name,
-                r.creator_avatar,
-                r.creator_is_verified,
-                COUNT(DISTINCT s.user_id) as unique_visitors,
-                COUNT(s.session_id) as total_sessions,
-                MAX(s.joined_at) as last_activity
-            FROM rooms r
-            JOIN sessions s ON r.room_id = s.room_id
-            WHERE ${whereClause}
-            GROUP BY r.room_id, r.topic, r.language, r.second_language, r.skill_level, 
-                     r.is_active, r.current_users_count, r.max_capacity, r.is_locked,
-                     r.creator_name, r.creator_avatar, r.creator_is_verified
-            ORDER BY unique_visitors DESC, total_sessions DESC
-            LIMIT $${params.length}
-        `;
-
-        const result = await pool.query(query, params);
-        res.json(result.rows);
+        const companions = await sessions.findCompanions(userId, {
+            days,
+            minOverlapSeconds: min_overlap_seconds,
+            limit
+        });
+
+        res.json(companions);
 
     } catch (error) {
-        console.error('Trending rooms error:', error);
-        res.status(500).json({ error: 'Failed to get trending rooms', details: error.message });
+        console.error('Companions error:', error);
+        res.status(500).json({ error: 'Failed to get companions', details: error.message });
     }
 });
 
 // ============================================
-// 14. ACTIVE ROOMS (NEW)
+// 24. ROOM AT A POINT IN TIME
 // ============================================
-router.get('/rooms/active', async (req, res) => {
+router.get('/rooms/:roomId/at', validate({
+    params: { roomId: rules.roomId },
+    query: { time: { ...rules.date, required: true } }
+}), async (req, res) => {
     try {
-        const { language, skill_level, limit = 50, sort = 'users' } = req.query;
+        const { roomId } = req.params;
+        const { time } = req.query;
 
-        let whereClause = 'is_active = true';
-        const params = [];
+        if (!(await rooms.findById(roomId))) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
 
-        if (language) {
-            params.push(language);
-            whereClause += ` AND language = $${params.length}`;
+        const participants = await sessions.listPresentAt(roomId, time);
+        const nearest = await rooms.findNearestSnapshot(roomId, time);
+
+        // Compare the session-derived list with what the closest snapshot recorded
+        let snapshot = null;
+        let crossCheck = null;
+        if (nearest) {
+            const snapshotParticipants = typeof nearest.participants_json === 'string'
+                ? JSON.parse(nearest.participants_json)
+                : nearest.participants_json;
+            const fromSessions = new Set(participants.map(p => p.user_id));
+            const fromSnapshot = new Set(snapshotParticipants.map(p => p.user_id));
+
+            snapshot = {
+                snapshot_id: nearest.snapshot_id,
+                snapshot_time: nearest.snapshot_time,
+                offset_seconds: Math.round((new Date(nearest.snapshot_time) - new Date(time)) / 1000),
+                participants_count: nearest.participants_count,
+                is_active: nearest.is_active,
+                participants: snapshotParticipants
+            };
+            crossCheck = {
+                matches: fromSessions.size === fromSnapshot.size && [...fromSessions].every(id => fromSnapshot.has(id)),
+                missing_from_snapshot: [...fromSessions].filter(id => !fromSnapshot.has(id)),
+                missing_from_sessions: [...fromSnapshot].filter(id => !fromSessions.has(id))
+            };
         }
 
-        if (skill_level) {
-            params.push(skill_level);
-            whereClause += ` AND skill_level = $${params.length}`;
+        res.json({
+            room_id: roomId,
+            time,
+            participants_count: participants.length,
+            participants,
+            nearest_snapshot: snapshot,
+            cross_check: crossCheck
+        });
+
+    } catch (error) {
+        console.error('Room at time error:', error);
+        res.status(500).json({ error: 'Failed to reconstruct room', details: error.message });
+    }
+});
+
+// ============================================
+// 25. ROOM REPLAY
+// ============================================
+const MAX_REPLAY_DAYS = 7;
+
+router.get('/rooms/:roomId/replay', validate({
+    params: { roomId: rules.roomId },
+    query: {
+        from: { ...rules.date, required: true },
+        to: rules.date,
+        limit: rules.limit(1000, 10000)
+    }
+}), async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const { from, limit } = req.query;
+        const to = req.query.to || new Date().toISOString();
+
+        const windowMs = new Date(to) - new Date(from);
+        if (windowMs <= 0) {
+            return res.status(400).json({ error: 'from must be before to' });
+        }
+        if (windowMs > MAX_REPLAY_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ error: `Replay window cannot exceed ${MAX_REPLAY_DAYS} days` });
         }
 
-        let orderBy = 'current_users_count DESC';
-        if (sort === 'recent') {
-            orderBy = 'last_activity DESC';
-        } else if (sort === 'popular') {
-            orderBy = 'current_users_count DESC, last_activity DESC';
+        if (!(await rooms.findById(roomId))) {
+            return res.status(404).json({ error: 'Room not found' });
         }
 
-        params.push(limit);
-
-        const query = `
-            SELECT 
-                room_id,
-                topic,
-                language,
-                second_language,
-                skill_level,
-                current_users_count,
-                max_capacity,
-                is_full,
-                is_empty,
-                is_locked,
-                mic_allowed,
-                mic_required,
-                no_mic,
-                creator_name,
-                creator_avatar,
-                creator_is_verified,
-                last_activity,
-                allows_unlimited
-            FROM rooms
-            WHERE ${whereClause}
-            ORDER BY ${orderBy}
-            LIMIT $${params.length}
-        `;
-
-        const result = await pool.query(query, params);
-        res.json(result.rows);
+        const initial = await sessions.listPresentAt(roomId, from);
+        const rows = await sessions.listRoomEventsBetween(roomId, from, to, limit + 1);
+        const truncated = rows.length > limit;
+
+        // Each event carries the head count after it is applied
+        const present = new Set(initial.map(p => p.user_id));
+        const events = rows.slice(0, limit).map(({ rank, ...event }) => {
+            if (event.type === 'join') {
+                present.add(event.user_id);
+            } else {
+                present.delete(event.user_id);
+            }
+            return { ...event, participants_count: present.size };
+        });
+
+        res.json({
+            room_id: roomId,
+            from,
+            to,
+            initial_participants: initial,
+            events,
+            final_participant_ids: [...present],
+            truncated
+        });
 
     } catch (error) {
-        console.error('Active rooms error:', error);
-        res.status(500).json({ error: 'Failed to get active rooms', details: error.message });
+        console.error('Room replay error:', error);
+        res.status(500).json({ error: 'Failed to replay room', details: error.message });
     }
 });
 
 // ============================================
-// 15. SEARCH ROOMS (NEW)
+// 26. ROOM OCCUPANCY
 // ============================================
-router.get('/rooms/search', async (req, res) => {
+//
+// Concurrent users per bucket (min / max / time-weighted avg), derived from
+// session intervals. ?source=auto falls back to snapshot head counts when no
+// session overlaps the window.
+
+const occupancyQuery = {
+    from: rules.date,
+    to: rules.date,
+    bucket: { type: 'string', enum: Object.keys(BUCKETS), default: '5m' },
+    source: { type: 'string', enum: ['auto', 'sessions', 'snapshots'], default: 'auto' }
+};
+
+async function buildOccupancy(scope, { from, to, bucket, source }) {
+    const bucketSeconds = BUCKETS[bucket];
+
+    // Window defaults to the last 24 hours before `to` (or now)
+    const end = to || new Date().toISOString();
+    const start = from || new Date(new Date(end).getTime() - 24 * 60 * 60 * 1000).toISOString();
+
+    const window = resolveWindow(start, end, bucketSeconds);
+    if (window.error) {
+        return window;
+    }
+
+    let resolvedSource = source;
+    if (source === 'auto') {
+        const hasSessions = await sessions.existsBetween(scope, window.from, window.to);
+        resolvedSource = hasSessions ? 'sessions' : 'snapshots';
+    }
+
+    const options = { from: window.from, to: window.to, bucketSeconds };
+    const series = resolvedSource === 'sessions'
+        ? await sessions.getOccupancy(scope, options)
+        : await rooms.getSnapshotOccupancy(scope, options);
+
+    return {
+        from: window.from,
+        to: window.to,
+        bucket,
+        bucket_seconds: bucketSeconds,
+        source: resolvedSource,
+        series,
+        peak: series.reduce((peak, point) => Math.max(peak, point.max), 0)
+    };
+}
+
+router.get('/rooms/:roomId/occupancy', validate({
+    params: { roomId: rules.roomId },
+    query: occupancyQuery
+}), async (req, res) => {
     try {
-        const { q, limit = 20, active_only = 'false' } = req.query;
+        const { roomId } = req.params;
 
-        if (!q || q.length < 2) {
-            return res.json([]);
+        if (!(await rooms.findById(roomId))) {
+            return res.status(404).json({ error: 'Room not found' });
         }
 
-        let whereClause = '(LOWER(topic) LIKE LOWER($1) OR LOWER(language) LIKE LOWER($1))';
-        if (active_only === 'true') {
-            whereClause += ' AND is_active = true';
+        const occupancy = await buildOccupancy({ roomId }, req.query);
+        if (occupancy.error) {
+            return res.status(400).json({ error: occupancy.error });
         }
 
-        const query = `
-            SELECT 
-                room_id,
-                topic,
-                language,
-                second_language,
-                skill_level,
-                is_active,
-                current_users_count,
-                max_capacity,
-                is_locked,
-                last_activity,
-                creator_name
-            FROM rooms
-            WHERE ${whereClause}
-            ORDER BY 
-                is_active DESC,
-                current_users_count DESC,
-                last_activity DESC
-            LIMIT $2
-        `;
-
-        const result = await pool.query(query, [`%${q}%`, limit]);
-        res.json(result.rows);
+        res.json({ room_id: roomId, ...occupancy });
 
     } catch (error) {
-        console.error('Search rooms error:', error);
-        res.status(500).json({ error: 'Failed to search rooms', details: error.message });
+        console.error('Room occupancy error:', error);
+        res.status(500).json({ error: 'Failed to fetch room occupancy', details: error.message });
     }
 });
 
 // ============================================
-// 16. GLOBAL STATISTICS (ENHANCED)
+// 27. PLATFORM OCCUPANCY
 // ============================================
-router.get('/stats', async (req, res) => {
+router.get('/stats/occupancy', validate({
+    query: occupancyQuery
+}), cached(60), async (req, res) => {
     try {
-        const query = `
-            SELECT
-                (SELECT COUNT(*) FROM users) as total_users,
-                (SELECT COUNT(*) FROM rooms) as total_rooms,
-                (SELECT COUNT(*) FROM rooms WHERE is_active = true) as active_rooms,
-                (SELECT COUNT(*) FROM sessions WHERE is_currently_active = true) as active_sessions,
-                (SELECT COUNT(*) FROM sessions) as total_sessions,
-                (SELECT COUNT(*) FROM profile_views WHERE viewed_at >= NOW() - INTERVAL '24 hours') as views_24h,
-                (SELECT COUNT(*) FROM room_snapshots) as total_snapshots,
-                (SELECT COUNT(DISTINCT user_id) FROM sessions WHERE joined_at >= NOW() - INTERVAL '24 hours') as active_users_24h,
-                (SELECT COUNT(DISTINCT user_id) FROM sessions WHERE joined_at >= NOW() - INTERVAL '7 days') as active_users_7d,
-                (SELECT COALESCE(SUM(duration_seconds), 0)::BIGINT FROM sessions) as total_watch_time_seconds
-        `;
-
-        const result = await pool.query(query);
-        res.json(result.rows[0]);
+        const occupancy = await buildOccupancy({}, req.query);
+        if (occupancy.error) {
+            return res.status(400).json({ error: occupancy.error });
+        }
+
+        res.json({ scope: 'platform', ...occupancy });
 
     } catch (error) {
-        console.error('Stats error:', error);
-        res.status(500).json({ error: 'Failed to get stats', details: error.message });
+        console.error('Platform occupancy error:', error);
+        res.status(500).json({ error: 'Failed to fetch platform occupancy', details: error.message });
     }
 });
 
 // ============================================
-// 17. LANGUAGE STATISTICS (NEW)
+// 28. SEARCH USERS AND ROOMS
 // ============================================
-router.get('/stats/languages', async (req, res) => {
+//
+// GET /search?q=...&types=users,rooms returns both result lists, each
+// ranked and highlighted like /users/search and /rooms/search. Room filters
+// only narrow the rooms list.
+router.get('/search', validate({
+    query: {
+        q: rules.searchQuery,
+        types: { type: 'list', of: { type: 'string', enum: SEARCH_TYPES }, default: SEARCH_TYPES },
+        limit: rules.limit(10, 50),
+        active_only: rules.flag(false),
+        ...roomFilterRules
+    }
+}), async (req, res) => {
     try {
-        const { days } = req.query;
+        const { q, types, limit, active_only } = req.query;
 
-        let dateFilter = '';
-        const params = [];
+        const result = { query: q || '', users: [], rooms: [] };
+        if (!q || q.length < 2) {
+            return res.json(result);
+        }
 
-        if (days) {
-            params.push(days);
-            dateFilter = `WHERE s.joined_at >= NOW() - INTERVAL '1 day' * $${params.length}`;
+        await transaction(async (repos) => {
+            if (types.includes('users')) {
+                result.users = withHighlights(await repos.users.search(q, limit), USER_SEARCH_FIELDS, q);
+            }
+
+            if (types.includes('rooms')) {
+                const rows = await repos.rooms.search(q, pickRoomFilters(req.query), { activeOnly: active_only, limit });
+                result.rooms = withHighlights(rows, ROOM_SEARCH_FIELDS, q);
+            }
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ error: 'Search failed', details: error.message });
+    }
+});
+
+// ============================================
+// 29. LANGUAGE AND SKILL COMBINATIONS
+// ============================================
+//
+// Cross-tab over language x second_language x skill_level for [from, to)
+// (default: the last 7 days), each combination with its metrics, the same
+// metrics for the equal-length period before and the change between them.
+// Combinations seen only in the previous period are included with zeros.
+
+const COMBINATION_METRICS = ['room_count', 'unique_users', 'total_sessions', 'avg_session_duration', 'peak_concurrent_users'];
+const COMBINATION_SORTS = {
+    unique_users: (a, b) => b.current.unique_users - a.current.unique_users,
+    total_sessions: (a, b) => b.current.total_sessions - a.current.total_sessions,
+    growth: (a, b) => b.change.unique_users.delta - a.change.unique_users.delta
+};
+const MAX_COMBINATION_DAYS = 366;
+
+/**
+ * Pair up each combination's current and previous rows and add the change:
+ * { delta, percent } per metric, percent null when the previous value was 0
+ */
+function buildCombinations(rows) {
+    const emptyMetrics = () => Object.fromEntries(COMBINATION_METRICS.map(metric => [metric, 0]));
+    const combinations = new Map();
+
+    for (const row of rows) {
+        const key = JSON.stringify([row.language, row.second_language, row.skill_level]);
+        if (!combinations.has(key)) {
+            combinations.set(key, {
+                language: row.language,
+                second_language: row.second_language,
+                skill_level: row.skill_level,
+                current: emptyMetrics(),
+                previous: emptyMetrics()
+            });
+        }
+
+        combinations.get(key)[row.period] = Object.fromEntries(
+            COMBINATION_METRICS.map(metric => [metric, parseInt(row[metric]) || 0])
+        );
+    }
+
+    return [...combinations.values()].map(combination => ({
+        ...combination,
+        change: Object.fromEntries(COMBINATION_METRICS.map(metric => {
+            const previous = combination.previous[metric];
+            const delta = combination.current[metric] - previous;
+            const percent = previous > 0 ? Math.round((delta / previous) * 1000) / 10 : null;
+            return [metric, { delta, percent }];
+        }))
+    }));
+}
+
+router.get('/stats/combinations', validate({
+    query: {
+        from: rules.date,
+        to: rules.date,
+        sort: { type: 'string', enum: Object.keys(COMBINATION_SORTS), default: 'unique_users' },
+        limit: rules.limit(100, 1000)
+    }
+}), cached(300), async (req, res) => {
+    try {
+        const { sort, limit } = req.query;
+
+        const to = new Date(req.query.to || Date.now());
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+        if (from >= to) {
+            return res.status(400).json({ error: 'from must be before to' });
+        }
+        if (to - from > MAX_COMBINATION_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ error: `The range can span at most ${MAX_COMBINATION_DAYS} days` });
         }
 
-        const query = `
-            SELECT 
-                r.language,
-                COUNT(DISTINCT r.room_id) as room_count,
-                COUNT(DISTINCT s.user_id) as unique_users,
-                COUNT(s.session_id) as total_sessions,
-                COALESCE(SUM(s.duration_seconds), 0)::BIGINT as total_time_seconds,
-                AVG(s.duration_seconds)::INTEGER as avg_session_duration
-            FROM rooms r
-            LEFT JOIN sessions s ON r.room_id = s.room_id ${dateFilter.replace('WHERE', 'AND')}
-            GROUP BY r.language
-            ORDER BY unique_users DESC, total_sessions DESC
-        `;
-
-        const result = await pool.query(query, params);
-        res.json(result.rows);
+        const rows = await stats.getCombinations({ from: from.toISOString(), to: to.toISOString() });
+        const combinations = buildCombinations(rows).sort(COMBINATION_SORTS[sort]);
+
+        res.json({
+            from: from.toISOString(),
+            to: to.toISOString(),
+            previous_from: new Date(from.getTime() - (to - from)).toISOString(),
+            previous_to: from.toISOString(),
+            total: combinations.length,
+            combinations: combinations.slice(0, limit)
+        });
 
     } catch (error) {
-        console.error('Language stats error:', error);
-        res.status(500).json({ error: 'Failed to get language statistics', details: error.message });
+        console.error('Combination stats error:', error);
+        res.status(500).json({ error: 'Failed to get combination statistics', details: error.message });
     }
 });
 
 // ============================================
-// 18. SKILL LEVEL STATISTICS (NEW)
+// 30. COHORT RETENTION
 // ============================================
-router.get('/stats/skills', async (req, res) => {
+//
+// Users grouped by the week or month they were first seen (UTC). For each
+// cohort: how many came back in each of the first `offsets` days or weeks
+// after their own first visit, and the median sessions of those who came
+// back at all. ?language= keeps users whose favorite language (as on
+// /users/:userId) is one of the given ones.
+
+const COHORT_PERIODS = ['week', 'month'];
+const RETENTION_INTERVALS = { day: 24 * 60 * 60, week: 7 * 24 * 60 * 60 };
+const DEFAULT_COHORT_COUNT = 12;
+
+const cohortLanguages = { type: 'list', of: { type: 'string', maxLength: 100 }, maxItems: 20 };
+
+function rate(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+router.get('/stats/cohorts', validate({
+    query: {
+        period: { type: 'string', enum: COHORT_PERIODS, default: 'week' },
+        interval: { type: 'string', enum: Object.keys(RETENTION_INTERVALS), default: 'week' },
+        offsets: { type: 'int', min: 1, max: 52, default: 8 },
+        from: rules.date,
+        to: rules.date,
+        language: cohortLanguages
+    }
+}), cached(300), async (req, res) => {
     try {
-        const query = `
-            SELECT 
-                skill_level,
-                COUNT(DISTINCT room_id) as room_count,
-                COUNT(DISTINCT s.user_id) as unique_users,
-                COUNT(s.session_id) as total_sessions,
-                AVG(s.duration_seconds)::INTEGER as avg_session_duration
-            FROM rooms r
-            LEFT JOIN sessions s ON r.room_id = s.room_id
-            GROUP BY skill_level
-            ORDER BY total_sessions DESC
-        `;
-
-        const result = await pool.query(query);
-        res.json(result.rows);
+        const { period, interval, offsets, language } = req.query;
+
+        // Default: the last 12 weeks or months of first visits
+        const to = new Date(req.query.to || Date.now());
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(period === 'week'
+                ? to.getTime() - DEFAULT_COHORT_COUNT * RETENTION_INTERVALS.week * 1000
+                : Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - DEFAULT_COHORT_COUNT, 1));
+
+        if (from >= to) {
+            return res.status(400).json({ error: 'from must be before to' });
+        }
+
+        const rows = await retention.getCohorts({
+            period,
+            intervalSeconds: RETENTION_INTERVALS[interval],
+            offsets,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            languages: language && language.length > 0 ? language : null
+        });
+
+        res.json({
+            period,
+            interval,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            cohorts: rows.map(row => {
+                const users = parseInt(row.users);
+                const retained = parseInt(row.retained_users);
+                return {
+                    cohort_start: row.cohort_start,
+                    users,
+                    retained_users: retained,
+                    retention_rate: rate(retained, users),
+                    median_sessions_retained: row.median_sessions_retained === null
+                        ? null
+                        : Number(row.median_sessions_retained),
+                    retention: row.retention.map(point => ({
+                        offset: point.offset,
+                        eligible: point.eligible,
+                        returned: point.returned,
+                        rate: rate(point.returned, point.eligible)
+                    }))
+                };
+            })
+        });
 
     } catch (error) {
-        console.error('Skill stats error:', error);
-        res.status(500).json({ error: 'Failed to get skill level statistics', details: error.message });
+        console.error('Cohort stats error:', error);
+        res.status(500).json({ error: 'Failed to get cohort statistics', details: error.message });
     }
 });
 
 // ============================================
-// 19. RECORD PROFILE VIEW (NEW POST ENDPOINT)
+// 31. CHURNED USERS
+// ============================================
+//
+// Users who were regulars (min_sessions sessions on min_active_days days)
+// but have not been seen for inactive_days. ?cohort=<date>&period= keeps
+// users first seen in the week or month containing that date.
+router.get('/stats/cohorts/churned', validate({
+    query: {
+        inactive_days: rules.days(14),
+        min_sessions: { type: 'int', min: 1, max: 100000, default: 5 },
+        min_active_days: { type: 'int', min: 1, max: 3650, default: 3 },
+        cohort: rules.date,
+        period: { type: 'string', enum: COHORT_PERIODS, default: 'week' },
+        language: cohortLanguages,
+        limit: rules.limit(50),
+        offset: rules.offset
+    }
+}), async (req, res) => {
+    try {
+        const { inactive_days, min_sessions, min_active_days, cohort, period, language, limit, offset } = req.query;
+
+        const rows = await retention.listChurned({
+            inactiveDays: inactive_days,
+            minSessions: min_sessions,
+            minActiveDays: min_active_days,
+            cohort: cohort ? { period, start: cohort } : null,
+            languages: language && language.length > 0 ? language : null,
+            limit,
+            offset
+        });
+
+        // Past the last page no row carries the total
+        const total = rows.length > 0 ? parseInt(rows[0].total_count) : (offset === 0 ? 0 : null);
+
+        res.json({
+            users: rows.map(({ total_count, ...row }) => row),
+            pagination: {
+                limit,
+                offset,
+                total,
+                has_more: total !== null && offset + rows.length < total
+            }
+        });
+
+    } catch (error) {
+        console.error('Churned users error:', error);
+        res.status(500).json({ error: 'Failed to get churned users', details: error.message });
+    }
+});
+
 // ============================================
-router.post('/users/:userId/view', async (req, res) => {
+// 32. ROOMS CREATED BY A USER
+// ============================================
+//
+// A creator's rooms, most recently active first, each with lifetime
+// visitors, sessions and participant time, plus totals over all of them.
+router.get('/users/:userId/created-rooms', validate({
+    params: { userId: rules.userId },
+    query: {
+        limit: rules.limit(50),
+        offset: rules.offset,
+        cursor: rules.cursor
+    }
+}), async (req, res) => {
     try {
         const { userId } = req.params;
 
-        // Check if user exists
-        const userCheck = await pool.query('SELECT user_id FROM users WHERE user_id = $1', [userId]);
-        if (userCheck.rows.length === 0) {
+        const page = parsePagination(req.query, 'created-rooms', { defaultLimit: 50 });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        // Creators are not always seen as participants, so a user row is not required
+        const summary = await rooms.getCreatorSummary(userId);
+        if (!summary && !(await users.exists(userId))) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        await recordProfileView(userId, req);
+        const rows = summary ? await rooms.listCreatedBy(userId, page) : [];
+        const total = page.cursor ? null : (summary ? parseInt(summary.rooms_created) : 0);
 
-        res.json({ success: true, message: 'Profile view recorded' });
+        const { items, pagination } = buildPage(rows, { scope: 'created-rooms', idField: 'room_id', total, ...page });
+
+        res.json({
+            user_id: userId,
+            creator: summary ? {
+                name: summary.creator_name,
+                avatar: summary.creator_avatar,
+                is_verified: summary.creator_is_verified
+            } : null,
+            statistics: {
+                rooms_created: summary ? parseInt(summary.rooms_created) : 0,
+                active_rooms: summary ? parseInt(summary.active_rooms) : 0,
+                total_sessions: summary ? parseInt(summary.total_sessions) : 0,
+                unique_visitors: summary ? parseInt(summary.unique_visitors) : 0,
+                participant_seconds: summary ? parseInt(summary.participant_seconds) : 0,
+                first_room_seen: summary ? summary.first_room_seen : null,
+                last_activity: summary ? summary.last_activity : null
+            },
+            rooms: items,
+            pagination
+        });
 
     } catch (error) {
-        console.error('Record view error:', error);
-        res.status(500).json({ error: 'Failed to record view', details: error.message });
+        console.error('Get created rooms error:', error);
+        res.status(500).json({ error: 'Failed to get created rooms', details: error.message });
     }
 });
 
 // ============================================
-// 20. GET ROOM ANALYTICS (NEW)
+// 33. TOP ROOM CREATORS
 // ============================================
-router.get('/rooms/:roomId/analytics', async (req, res) => {
+//
+// ?by=visitors (default) | hours | occupancy | rooms over the last `days`;
+// see RoomRepository.listTopCreators for the definitions.
+router.get('/leaderboard/creators', validate({
+    query: {
+        by: { type: 'string', enum: ['visitors', 'hours', 'occupancy', 'rooms'], default: 'visitors' },
+        days: rules.days(30),
+        limit: rules.limit(100)
+    }
+}), cached(120), async (req, res) => {
     try {
-        const { roomId } = req.params;
-        const { days = 30 } = req.query;
-
-        const query = `
-            SELECT 
-                date,
-                total_participants,
-                unique_participants,
-                total_sessions,
-                avg_session_duration_seconds,
-                peak_concurrent_users
-            FROM room_analytics
-            WHERE room_id = $1
-                AND date >= CURRENT_DATE - $2::INTEGER
-            ORDER BY date DESC
-        `;
-
-        const result = await pool.query(query, [roomId, days]);
-        res.json(result.rows);
+        const { by, days, limit } = req.query;
+
+        res.json(await rooms.listTopCreators({ by, days, limit }));
 
     } catch (error) {
-        console.error('Room analytics error:', error);
-        res.status(500).json({ error: 'Failed to get room analytics', details: error.message });
+        console.error('Creator leaderboard error:', error);
+        res.status(500).json({ error: 'Failed to get creator leaderboard', details: error.message });
+    }
+});
+
+// ============================================
+// 34. USER ALIASES
+// ============================================
+//
+// Every username and avatar a user has had, replayed from the logged
+// profile changes. The user can be looked up by id or by any username,
+// current or former.
+router.get('/users/:userId/aliases', validate({
+    params: { userId: rules.userId }
+}), async (req, res) => {
+    try {
+        const user = await users.findByIdOrUsername(req.params.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const changes = await users.listProfileChanges(user.user_id, [
+            PROFILE_CHANGE_TYPES.username,
+            PROFILE_CHANGE_TYPES.user_avatar
+        ]);
+        const changesOf = (field) => changes.filter(row => row.activity_type === PROFILE_CHANGE_TYPES[field]);
+
+        res.json({
+            user_id: user.user_id,
+            username: user.username,
+            user_avatar: user.user_avatar,
+            usernames: aliasTimeline(user, 'username', changesOf('username')),
+            avatars: aliasTimeline(user, 'user_avatar', changesOf('user_avatar'))
+        });
+
+    } catch (error) {
+        console.error('Get user aliases error:', error);
+        res.status(500).json({ error: 'Failed to get user aliases', details: error.message });
     }
 });
 
 // ============================================
-// 21. HEALTH CHECK
+// 35. HEALTH CHECK
 // ============================================
 router.get('/health', async (req, res) => {
     try {
         // Test database connection
-        await pool.query('SELECT 1');
+        await stats.ping();
         res.json({ 
             status: 'healthy', 
             database: 'connected',
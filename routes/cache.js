@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const resultCache = require('../lib/cache');
+const { requireScope } = require('../middleware/auth');
+
+// Stats list cached URLs - admin only
+router.use(requireScope('admin'));
+
+// ============================================
+// 1. CACHE STATISTICS
+// ============================================
+router.get('/stats', (req, res) => {
+    res.json(resultCache.getStats());
+});
+
+// ============================================
+// 2. INVALIDATE
+// ============================================
+//
+// Body { "route": "/api/stats" } drops only that route's entries (prefix
+// match); an empty body drops everything.
+router.post('/invalidate', (req, res) => {
+    const route = req.body && req.body.route;
+    if (route !== undefined && (typeof route !== 'string' || !route.startsWith('/'))) {
+        return res.status(400).json({ error: 'route must be a path starting with /' });
+    }
+
+    const dropped = resultCache.invalidate(route || null);
+    res.json({ success: true, route: route || null, entries_dropped: dropped });
+});
+
+module.exports = router;
@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const { users, rooms, sessions } = require('../repositories');
+const { FORMATS, keysetBatches, streamExport } = require('../lib/export');
+const { buildGraph, toGraphML, toGEXF } = require('../lib/graph');
+const { requireScope } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+
+router.use(requireScope('read'));
+
+// ============================================
+// FULL-HISTORY EXPORTS
+// ============================================
+//
+// Same data as the paginated JSON endpoints, without the page size cap.
+// ?format=csv (default) or ?format=ndjson.
+
+const format = { type: 'string', enum: Object.keys(FORMATS), default: 'csv' };
+
+const USER_ROOM_COLUMNS = [
+    'room_id',
+    'language',
+    'second_language',
+    'skill_level',
+    'topic',
+    'is_active',
+    'current_users_count',
+    'max_capacity',
+    'first_visit',
+    'last_visit',
+    'total_visits',
+    'total_time_seconds',
+    'avg_session_duration'
+];
+
+const TIMELINE_COLUMNS = [
+    'session_id',
+    'user_id',
+    'username',
+    'user_avatar',
+    'verification_status',
+    'event_type',
+    'joined_at',
+    'left_at',
+    'duration_seconds',
+    'is_currently_active'
+];
+
+const SNAPSHOT_COLUMNS = [
+    'snapshot_id',
+    'room_id',
+    'snapshot_time',
+    'participants_count',
+    'is_active'
+];
+
+// CSV has one record per snapshot participant; empty snapshots keep one record
+const SNAPSHOT_PARTICIPANT_COLUMNS = [
+    'participant_position',
+    'participant_user_id',
+    'participant_username',
+    'participant_user_avatar',
+    'participant_mic'
+];
+
+function parseParticipants(value) {
+    return (typeof value === 'string' ? JSON.parse(value) : value) || [];
+}
+
+function flattenSnapshot(row) {
+    const participants = parseParticipants(row.participants_json);
+    if (participants.length === 0) {
+        return [row];
+    }
+
+    return participants.map((participant, index) => ({
+        ...row,
+        participant_position: participant.position ?? index,
+        participant_user_id: participant.user_id,
+        participant_username: participant.username,
+        participant_user_avatar: participant.user_avatar,
+        participant_mic: participant.mic
+    }));
+}
+
+// ============================================
+// 1. USER ROOM HISTORY
+// ============================================
+router.get('/users/:userId/rooms', validate({
+    params: { userId: rules.userId },
+    query: {
+        format,
+        language: rules.filterValue,
+        skill_level: rules.filterValue
+    }
+}), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { format, language, skill_level } = req.query;
+
+        await streamExport(res, {
+            format,
+            filename: `user-${userId}-rooms`,
+            columns: USER_ROOM_COLUMNS,
+            batches: keysetBatches(page => rooms.listVisitedByUser(userId, { language, skill_level }, page), 'room_id')
+        });
+
+    } catch (error) {
+        console.error('Export rooms error:', error);
+        res.status(500).json({ error: 'Failed to export rooms', details: error.message });
+    }
+});
+
+// ============================================
+// 2. ROOM TIMELINE
+// ============================================
+router.get('/rooms/:roomId/timeline', validate({
+    params: { roomId: rules.roomId },
+    query: {
+        format,
+        event_type: { type: 'string', enum: ['join', 'leave'] }
+    }
+}), async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const { format, event_type } = req.query;
+
+        await streamExport(res, {
+            format,
+            filename: `room-${roomId}-timeline`,
+            columns: TIMELINE_COLUMNS,
+            batches: keysetBatches(page => sessions.listTimeline(roomId, { eventType: event_type }, page), 'session_id')
+        });
+
+    } catch (error) {
+        console.error('Export timeline error:', error);
+        res.status(500).json({ error: 'Failed to export timeline', details: error.message });
+    }
+});
+
+// ============================================
+// 3. ROOM SNAPSHOTS
+// ============================================
+router.get('/rooms/:roomId/snapshots', validate({
+    params: { roomId: rules.roomId },
+    query: {
+        format,
+        start_date: rules.date,
+        end_date: rules.date
+    }
+}), async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const { format, start_date, end_date } = req.query;
+
+        const csv = format === 'csv';
+
+        await streamExport(res, {
+            format,
+            filename: `room-${roomId}-snapshots`,
+            columns: csv ? [...SNAPSHOT_COLUMNS, ...SNAPSHOT_PARTICIPANT_COLUMNS] : [...SNAPSHOT_COLUMNS, 'participants'],
+            batches: keysetBatches(page => rooms.listSnapshots(roomId, { start_date, end_date }, page), 'snapshot_id'),
+            toRecords: csv
+                ? flattenSnapshot
+                : row => [{ ...row, participants: parseParticipants(row.participants_json) }]
+        });
+
+    } catch (error) {
+        console.error('Export snapshots error:', error);
+        res.status(500).json({ error: 'Failed to export snapshots', details: error.message });
+    }
+});
+
+// ============================================
+// 4. CO-PRESENCE GRAPH
+// ============================================
+//
+// Users are nodes; an edge joins two users who were in the same room at the
+// same time, weighted by the seconds they spent together in the window.
+// ?format=graphml (default) | gexf | json
+
+const GRAPH_FORMATS = {
+    graphml: { contentType: 'application/graphml+xml; charset=utf-8', serialize: toGraphML },
+    gexf: { contentType: 'application/gexf+xml; charset=utf-8', serialize: toGEXF }
+};
+
+router.get('/graph/co-presence', validate({
+    query: {
+        format: { type: 'string', enum: [...Object.keys(GRAPH_FORMATS), 'json'], default: 'graphml' },
+        from: rules.date,
+        to: rules.date,
+        days: rules.days(30),
+        language: rules.filterValue,
+        room_ids: { type: 'list', of: { type: 'string', maxLength: 64 }, maxItems: 200 },
+        min_weight: { type: 'int', min: 0, max: 86400 * 365, default: 60 },
+        max_edges: { type: 'int', min: 1, max: 50000, default: 5000 }
+    }
+}), async (req, res) => {
+    try {
+        const { format, days, language, room_ids, min_weight, max_edges } = req.query;
+
+        // Window defaults to the last `days` before `to` (or now)
+        const to = req.query.to || new Date().toISOString();
+        const from = req.query.from || new Date(new Date(to).getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+        if (new Date(from) >= new Date(to)) {
+            return res.status(400).json({ error: 'from must be before to' });
+        }
+
+        const edgeRows = await sessions.getCoPresenceEdges({
+            from,
+            to,
+            language,
+            roomIds: room_ids,
+            minWeight: min_weight,
+            limit: max_edges
+        });
+
+        const userIds = [...new Set(edgeRows.flatMap(edge => [edge.source, edge.target]))];
+        const userRows = userIds.length > 0 ? await users.findGraphAttributes(userIds) : [];
+
+        const graph = buildGraph(edgeRows, userRows, {
+            from,
+            to,
+            language: language || null,
+            room_ids: room_ids || null,
+            min_weight,
+            max_edges,
+            truncated: edgeRows.length === max_edges
+        });
+
+        if (format === 'json') {
+            return res.json(graph);
+        }
+
+        const { contentType, serialize } = GRAPH_FORMATS[format];
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="co-presence.${format}"`);
+        res.send(serialize(graph));
+
+    } catch (error) {
+        console.error('Export graph error:', error);
+        res.status(500).json({ error: 'Failed to export co-presence graph', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { ingestSnapshot } = require('../lib/ingest');
+const changeFeed = require('../lib/changeFeed');
+const webhooks = require('../lib/webhooks');
+const resultCache = require('../lib/cache');
+const { requireScope } = require('../middleware/auth');
+
+// Ingestion is write access
+const requireIngestKey = requireScope('ingest');
+
+// ============================================
+// 1. INGEST ROOM LIST SNAPSHOT
+// ============================================
+router.post('/snapshot', requireIngestKey, async (req, res) => {
+    try {
+        const result = await ingestSnapshot(req.body);
+
+        // Push the new joins/leaves to open streams and webhooks without waiting for the next poll
+        changeFeed.poke();
+        webhooks.poke();
+
+        // Cached aggregates no longer reflect the data
+        resultCache.invalidate();
+
+        res.json({
+            success: true,
+            captured_at: result.captured_at,
+            rooms_seen: result.rooms_seen,
+            users_seen: result.users_seen,
+            sessions_opened: result.sessions_opened.length,
+            sessions_closed: result.sessions_closed.length,
+            rooms_closed: result.rooms_closed.length
+        });
+
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid snapshot payload', details: error.message });
+        }
+        if (error.status === 409) {
+            return res.status(409).json({
+                error: 'Stale snapshot',
+                details: error.message,
+                latest_captured_at: error.latestCapturedAt
+            });
+        }
+        console.error('Ingest error:', error);
+        res.status(500).json({ error: 'Failed to ingest snapshot', details: error.message });
+    }
+});
+
+module.exports = router;
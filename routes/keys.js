@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const { apiKeys } = require('../repositories');
+const { SCOPES, generateKey, requireScope, forgetAllKeys } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+router.use(requireScope('admin'));
+
+const keyParams = {
+    params: { keyId: { type: 'int', min: 1, required: true } }
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Validate a create/update body. Returns { values, error }; with `partial`
+ * only the fields present are checked and returned.
+ */
+function parseKey(body, partial = false) {
+    const values = {};
+    body = body || {};
+
+    if (body.name !== undefined || !partial) {
+        if (typeof body.name !== 'string' || body.name.trim().length === 0 || body.name.length > 255) {
+            return { error: 'name must be a non-empty string of up to 255 characters' };
+        }
+        values.name = body.name.trim();
+    }
+
+    if (body.scopes !== undefined) {
+        const scopes = body.scopes;
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !SCOPES.includes(s))) {
+            return { error: `scopes must be a non-empty array of: ${SCOPES.join(', ')}` };
+        }
+        values.scopes = [...new Set(scopes)];
+    }
+
+    if (body.rate_limit_per_minute !== undefined) {
+        const limit = body.rate_limit_per_minute;
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > 100000)) {
+            return { error: 'rate_limit_per_minute must be an integer from 1 to 100000, or null for the default' };
+        }
+        values.rate_limit_per_minute = limit;
+    }
+
+    return { values };
+}
+
+// ============================================
+// 1. CREATE KEY
+// ============================================
+router.post('/', async (req, res) => {
+    try {
+        const { values, error } = parseKey(req.body);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid API key', details: error });
+        }
+
+        // The plaintext key is only ever returned here
+        const { key, key_prefix, key_hash } = generateKey();
+        const created = await apiKeys.create({ ...values, key_prefix, key_hash });
+
+        res.status(201).json({ ...created, key });
+
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Failed to create API key', details: error.message });
+    }
+});
+
+// ============================================
+// 2. LIST KEYS
+// ============================================
+router.get('/', async (req, res) => {
+    try {
+        res.json(await apiKeys.list());
+
+    } catch (error) {
+        console.error('List API keys error:', error);
+        res.status(500).json({ error: 'Failed to list API keys', details: error.message });
+    }
+});
+
+// ============================================
+// 3. GET KEY
+// ============================================
+router.get('/:keyId', validate(keyParams), async (req, res) => {
+    try {
+        const key = await apiKeys.findById(req.params.keyId);
+
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json(key);
+
+    } catch (error) {
+        console.error('Get API key error:', error);
+        res.status(500).json({ error: 'Failed to get API key', details: error.message });
+    }
+});
+
+// ============================================
+// 4. UPDATE KEY
+// ============================================
+router.patch('/:keyId', validate(keyParams), async (req, res) => {
+    try {
+        const { values, error } = parseKey(req.body, true);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid API key', details: error });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({ error: 'Invalid API key', details: 'No fields to update' });
+        }
+
+        const key = await apiKeys.update(req.params.keyId, values);
+
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        // Scope and limit changes apply to the next request
+        forgetAllKeys();
+
+        res.json(key);
+
+    } catch (error) {
+        console.error('Update API key error:', error);
+        res.status(500).json({ error: 'Failed to update API key', details: error.message });
+    }
+});
+
+// ============================================
+// 5. REVOKE KEY
+// ============================================
+router.delete('/:keyId', validate(keyParams), async (req, res) => {
+    try {
+        const key = await apiKeys.revoke(req.params.keyId);
+
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        forgetAllKeys();
+
+        res.json({ success: true, message: 'API key revoked' });
+
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { privacy } = require('../repositories');
+const resultCache = require('../lib/cache');
+const { ERASURE_MODES, eraseUser, purgeExpiredViewerDetails } = require('../lib/erasure');
+const { requireScope } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+
+// Opt-outs and erasure requests - admin only
+router.use(requireScope('admin'));
+
+const userParams = {
+    params: { userId: rules.userId }
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Optional free-text reason from a request body
+ */
+function parseReason(body) {
+    const reason = body && body.reason;
+    if (reason === undefined || reason === null) {
+        return { reason: null };
+    }
+    if (typeof reason !== 'string' || reason.length > 500) {
+        return { error: 'reason must be a string of up to 500 characters' };
+    }
+    return { reason };
+}
+
+// ============================================
+// 1. LIST BLOCKLIST
+// ============================================
+router.get('/blocklist', async (req, res) => {
+    try {
+        res.json(await privacy.listBlocked());
+
+    } catch (error) {
+        console.error('List blocklist error:', error);
+        res.status(500).json({ error: 'Failed to list blocklist', details: error.message });
+    }
+});
+
+// ============================================
+// 2. OPT OUT
+// ============================================
+//
+// The user is hidden from every endpoint and ingest stops recording them.
+// Data already collected stays until the user is erased.
+router.put('/blocklist/:userId', validate(userParams), async (req, res) => {
+    try {
+        const { reason, error } = parseReason(req.body);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid blocklist entry', details: error });
+        }
+
+        const existing = await privacy.findBlocked(req.params.userId);
+        const entry = await privacy.block(req.params.userId, { reason });
+        resultCache.invalidate();
+
+        res.status(existing ? 200 : 201).json(entry);
+
+    } catch (error) {
+        console.error('Block user error:', error);
+        res.status(500).json({ error: 'Failed to block user', details: error.message });
+    }
+});
+
+// ============================================
+// 3. REMOVE OPT-OUT
+// ============================================
+router.delete('/blocklist/:userId', validate(userParams), async (req, res) => {
+    try {
+        const entry = await privacy.findBlocked(req.params.userId);
+
+        if (!entry) {
+            return res.status(404).json({ error: 'User is not on the blocklist' });
+        }
+
+        // Lifting the block would let ingest start collecting an erased user again
+        if (entry.status !== 'opted-out') {
+            return res.status(409).json({ error: 'Erased users stay on the blocklist', status: entry.status });
+        }
+
+        await privacy.unblock(req.params.userId);
+        resultCache.invalidate();
+
+        res.json({ success: true, message: 'User removed from the blocklist' });
+
+    } catch (error) {
+        console.error('Unblock user error:', error);
+        res.status(500).json({ error: 'Failed to unblock user', details: error.message });
+    }
+});
+
+// ============================================
+// 4. ERASE USER
+// ============================================
+//
+// Body { "mode": "delete" | "anonymize", "reason": "..." }; see lib/erasure.js
+router.post('/erasure/:userId', validate(userParams), async (req, res) => {
+    try {
+        const mode = (req.body && req.body.mode) || 'delete';
+        if (!ERASURE_MODES.includes(mode)) {
+            return res.status(400).json({ error: 'Invalid erasure request', details: `mode must be one of: ${ERASURE_MODES.join(', ')}` });
+        }
+
+        const { reason, error } = parseReason(req.body);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid erasure request', details: error });
+        }
+
+        const result = await eraseUser(req.params.userId, { mode, reason });
+        resultCache.invalidate();
+
+        res.json({ success: true, user_id: req.params.userId, ...result });
+
+    } catch (error) {
+        console.error('Erase user error:', error);
+        res.status(500).json({ error: 'Failed to erase user', details: error.message });
+    }
+});
+
+// ============================================
+// 5. RUN VIEWER RETENTION
+// ============================================
+router.post('/retention/run', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await purgeExpiredViewerDetails()) });
+
+    } catch (error) {
+        console.error('Viewer retention error:', error);
+        res.status(500).json({ error: 'Failed to apply viewer retention', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const changeFeed = require('../lib/changeFeed');
+const { requireScope } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+
+router.use(requireScope('read'));
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const REPLAY_BATCH_SIZE = 500;
+const MAX_REPLAY_EVENTS = 10000;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+/**
+ * Open an SSE stream of join/leave/room-opened/occupancy-change/room-closed events,
+ * optionally limited to one room. A Last-Event-ID header (or ?last_event_id=
+ * for clients that cannot set headers) replays what was missed first.
+ *
+ * Replay stops after MAX_REPLAY_EVENTS. Rather than skip ahead to live events,
+ * the stream then sends a `reset` event carrying the last id replayed and
+ * closes; reconnecting with that id (which EventSource does by itself)
+ * resumes the replay. A failed replay closes the stream after an `error`
+ * event the same way.
+ */
+async function openStream(req, res, roomId = null) {
+    const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+    let lastKey = null;
+
+    if (lastEventId) {
+        lastKey = changeFeed.parseKey(lastEventId);
+        if (!lastKey) {
+            return res.status(400).json({ error: 'Invalid Last-Event-ID', details: `Unrecognized event id "${lastEventId}"` });
+        }
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    let closed = false;
+    let replaying = lastKey !== null;
+    const queued = [];
+
+    const send = (event) => {
+        if (closed || (lastKey && changeFeed.compareKeys(event.key, lastKey) <= 0)) {
+            return;
+        }
+        lastKey = event.key;
+        writeEvent(res, event);
+    };
+
+    // Subscribe before replaying so nothing slips between the two
+    const unsubscribe = changeFeed.subscribe((event) => {
+        if (roomId && event.room_id !== roomId) return;
+        if (replaying) {
+            queued.push(event);
+        } else {
+            send(event);
+        }
+    });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    const stop = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    req.on('close', stop);
+
+    // No id line, so the client's Last-Event-ID stays at the last event replayed
+    const endReplay = (type, data) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify({ ...data, last_event_id: lastKey && changeFeed.formatKey(lastKey) })}\n\n`);
+        stop();
+        res.end();
+    };
+
+    if (replaying) {
+        try {
+            let replayed = 0;
+            while (!closed) {
+                if (replayed >= MAX_REPLAY_EVENTS) {
+                    return endReplay('reset', { reason: `Replay is limited to ${MAX_REPLAY_EVENTS} events; reconnect from last_event_id to continue` });
+                }
+                const events = await changeFeed.fetchEvents(lastKey, { roomId, limit: REPLAY_BATCH_SIZE });
+                events.forEach(send);
+                replayed += events.length;
+                if (events.length < REPLAY_BATCH_SIZE) break;
+            }
+        } catch (error) {
+            console.error('Stream replay error:', error);
+            return endReplay('error', { error: 'Failed to replay missed events' });
+        }
+
+        replaying = false;
+        queued.splice(0).forEach(send);
+    }
+}
+
+// ============================================
+// 1. ALL ROOMS EVENT STREAM
+// ============================================
+router.get('/rooms', (req, res) => {
+    openStream(req, res);
+});
+
+// ============================================
+// 2. SINGLE ROOM EVENT STREAM
+// ============================================
+router.get('/rooms/:roomId', validate({
+    params: { roomId: rules.roomId }
+}), (req, res) => {
+    openStream(req, res, req.params.roomId);
+});
+
+module.exports = router;
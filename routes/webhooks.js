@@ -0,0 +1,246 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { webhooks } = require('../repositories');
+const { EVENT_TYPES } = require('../lib/webhooks');
+const { requireScope } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+
+// Subscriptions carry signing secrets - admin only
+router.use(requireScope('admin'));
+
+const FILTER_FIELDS = ['user_ids', 'room_ids', 'languages', 'skill_levels'];
+
+const subscriptionParams = {
+    params: { subscriptionId: { type: 'int', min: 1, required: true } }
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Validate a create/update body. Returns { values, error }; with `partial`
+ * only the fields present are checked and returned.
+ */
+function parseSubscription(body, partial = false) {
+    const values = {};
+    body = body || {};
+
+    if (body.url !== undefined || !partial) {
+        let url;
+        try {
+            url = new URL(body.url);
+        } catch (e) {
+            return { error: 'url must be an absolute http(s) URL' };
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return { error: 'url must be an absolute http(s) URL' };
+        }
+        values.url = url.toString();
+    }
+
+    if (body.secret !== undefined) {
+        if (typeof body.secret !== 'string' || body.secret.length < 16 || body.secret.length > 128) {
+            return { error: 'secret must be a string of 16-128 characters' };
+        }
+        values.secret = body.secret;
+    }
+
+    if (body.description !== undefined) {
+        values.description = body.description === null ? null : String(body.description).substring(0, 500);
+    }
+
+    if (body.event_types !== undefined) {
+        const types = body.event_types;
+        if (!Array.isArray(types) || types.length === 0 || types.some(t => !EVENT_TYPES.includes(t))) {
+            return { error: `event_types must be a non-empty array of: ${EVENT_TYPES.join(', ')}` };
+        }
+        values.event_types = [...new Set(types)];
+    }
+
+    for (const field of FILTER_FIELDS) {
+        if (body[field] !== undefined) {
+            const list = body[field] === null ? [] : body[field];
+            if (!Array.isArray(list) || list.some(v => typeof v !== 'string' || v.length === 0)) {
+                return { error: `${field} must be an array of non-empty strings` };
+            }
+            values[field] = [...new Set(list)];
+        }
+    }
+
+    if (body.is_active !== undefined) {
+        if (typeof body.is_active !== 'boolean') {
+            return { error: 'is_active must be a boolean' };
+        }
+        values.is_active = body.is_active;
+    }
+
+    return { values };
+}
+
+// ============================================
+// 1. CREATE SUBSCRIPTION
+// ============================================
+router.post('/', async (req, res) => {
+    try {
+        const { values, error } = parseSubscription(req.body);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid webhook subscription', details: error });
+        }
+
+        // The secret is only ever returned here
+        values.secret = values.secret || crypto.randomBytes(32).toString('hex');
+
+        const subscription = await webhooks.create(values);
+
+        res.status(201).json({ ...subscription, secret: values.secret });
+
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({ error: 'Failed to create webhook subscription', details: error.message });
+    }
+});
+
+// ============================================
+// 2. LIST SUBSCRIPTIONS
+// ============================================
+router.get('/', async (req, res) => {
+    try {
+        res.json(await webhooks.list());
+
+    } catch (error) {
+        console.error('List webhooks error:', error);
+        res.status(500).json({ error: 'Failed to list webhook subscriptions', details: error.message });
+    }
+});
+
+// ============================================
+// 3. GET SUBSCRIPTION
+// ============================================
+router.get('/:subscriptionId', validate(subscriptionParams), async (req, res) => {
+    try {
+        const subscription = await webhooks.findById(req.params.subscriptionId);
+
+        if (!subscription) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+
+        res.json(subscription);
+
+    } catch (error) {
+        console.error('Get webhook error:', error);
+        res.status(500).json({ error: 'Failed to get webhook subscription', details: error.message });
+    }
+});
+
+// ============================================
+// 4. UPDATE SUBSCRIPTION
+// ============================================
+router.patch('/:subscriptionId', validate(subscriptionParams), async (req, res) => {
+    try {
+        const { values, error } = parseSubscription(req.body, true);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid webhook subscription', details: error });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({ error: 'Invalid webhook subscription', details: 'No fields to update' });
+        }
+
+        const subscription = await webhooks.update(req.params.subscriptionId, values);
+
+        if (!subscription) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+
+        res.json(subscription);
+
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({ error: 'Failed to update webhook subscription', details: error.message });
+    }
+});
+
+// ============================================
+// 5. DELETE SUBSCRIPTION
+// ============================================
+router.delete('/:subscriptionId', validate(subscriptionParams), async (req, res) => {
+    try {
+        const deleted = await webhooks.delete(req.params.subscriptionId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+
+        res.json({ success: true, message: 'Webhook subscription deleted' });
+
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ error: 'Failed to delete webhook subscription', details: error.message });
+    }
+});
+
+// ============================================
+// 6. DELIVERY LOG
+// ============================================
+router.get('/:subscriptionId/deliveries', validate({
+    ...subscriptionParams,
+    query: {
+        status: { type: 'string', enum: ['pending', 'success', 'failed'] },
+        event_type: { type: 'string', enum: EVENT_TYPES },
+        limit: rules.limit(50),
+        offset: rules.offset
+    }
+}), async (req, res) => {
+    try {
+        const { subscriptionId } = req.params;
+        const { status, event_type, limit, offset } = req.query;
+
+        const filters = { status, eventType: event_type };
+        const deliveries = await webhooks.listDeliveries(subscriptionId, filters, { limit, offset });
+        const total = await webhooks.countDeliveries(subscriptionId, filters);
+
+        res.json({
+            deliveries,
+            pagination: {
+                total,
+                limit,
+                offset,
+                has_more: offset + deliveries.length < total
+            }
+        });
+
+    } catch (error) {
+        console.error('Get deliveries error:', error);
+        res.status(500).json({ error: 'Failed to get webhook deliveries', details: error.message });
+    }
+});
+
+// ============================================
+// 7. RETRY A DELIVERY
+// ============================================
+router.post('/:subscriptionId/deliveries/:deliveryId/retry', validate({
+    params: {
+        subscriptionId: { type: 'int', min: 1, required: true },
+        deliveryId: { type: 'int', min: 1, required: true }
+    }
+}), async (req, res) => {
+    try {
+        const { subscriptionId, deliveryId } = req.params;
+
+        const queued = await webhooks.retryDelivery(subscriptionId, deliveryId);
+
+        if (!queued) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        res.json({ success: true, message: 'Delivery queued for retry' });
+
+    } catch (error) {
+        console.error('Retry delivery error:', error);
+        res.status(500).json({ error: 'Failed to retry delivery', details: error.message });
+    }
+});
+
+module.exports = router;
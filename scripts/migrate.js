@@ -0,0 +1,38 @@
+const db = require('../db');
+const { up, down, status } = require('../db/migrator');
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      const versions = await up(db, { to: arg ? parseInt(arg) : undefined });
+      console.log(versions.length ? `✅ Applied ${versions.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        console.error(`❌ steps must be a positive integer, got "${arg}"`);
+        process.exitCode = 1;
+        return;
+      }
+      const versions = await down(db, { steps });
+      console.log(`✅ Reverted ${versions.length} migration(s)`);
+    } else if (command === 'status') {
+      const rows = await status(db);
+      for (const row of rows) {
+        const state = row.applied ? `applied ${row.applied_at.toISOString()}` : 'pending';
+        console.log(`${String(row.version).padStart(3, '0')}_${row.name}  ${state}${row.modified ? '  (modified)' : ''}`);
+      }
+    } else {
+      console.log('Usage: node scripts/migrate.js <up [version] | down [steps] | status>');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+main();
@@ -0,0 +1,65 @@
+const db = require('../db');
+const rollup = require('../lib/rollup');
+
+const USAGE = `Usage: node scripts/rollup.js                     rebuild days touched since the last run
+       node scripts/rollup.js --from=YYYY-MM-DD [--to=YYYY-MM-DD] [--room=ROOM_ID]
+                                                  rebuild a date range (UTC days, inclusive)`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseArgs(argv) {
+  const options = {};
+
+  for (const arg of argv) {
+    const [, name, value] = /^--([a-z]+)=(.+)$/.exec(arg) || [];
+
+    if ((name === 'from' || name === 'to') && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))) {
+      options[name] = value;
+    } else if (name === 'room') {
+      options.roomId = value;
+    } else {
+      throw new Error(`Unknown or invalid option "${arg}"`);
+    }
+  }
+
+  if ((options.to || options.roomId) && !options.from) {
+    throw new Error('--to and --room need --from');
+  }
+  if (options.from) {
+    options.to = options.to || new Date().toISOString().slice(0, 10);
+    if (options.from > options.to) {
+      throw new Error('--from must not be after --to');
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (options.from) {
+      const { days, rows } = await rollup.backfill(options);
+      console.log(`✅ Rebuilt ${days} room-day(s) from ${options.from} to ${options.to}, ${rows} row(s) written`);
+    } else {
+      const { days, rows, since } = await rollup.runIncremental();
+      const scope = since ? `since ${since.toISOString()}` : 'across all sessions';
+      console.log(`✅ Rebuilt ${days} room-day(s) touched ${scope}, ${rows} row(s) written`);
+    }
+  } catch (error) {
+    console.error('❌ Rollup failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+main();
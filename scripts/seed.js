@@ -0,0 +1,68 @@
+const db = require('../db');
+const { DEFAULTS, seed } = require('../lib/seed');
+
+const USAGE = `Usage: node scripts/seed.js [--seed=N] [--users=N] [--rooms=N] [--days=N]
+                           [--snapshot-minutes=N] [--end=ISO-8601] [--reset]
+
+Defaults: --seed=${DEFAULTS.seed} --users=${DEFAULTS.users} --rooms=${DEFAULTS.rooms} --days=${DEFAULTS.days} --snapshot-minutes=${DEFAULTS.snapshotMinutes}
+The same --seed and --end always generate the same data.`;
+
+const NUMERIC_OPTIONS = {
+  seed: 'seed',
+  users: 'users',
+  rooms: 'rooms',
+  days: 'days',
+  'snapshot-minutes': 'snapshotMinutes'
+};
+
+function parseArgs(argv) {
+  const options = {};
+
+  for (const arg of argv) {
+    const [, name, value] = /^--([a-z-]+)(?:=(.*))?$/.exec(arg) || [];
+
+    if (name === 'reset' && value === undefined) {
+      options.reset = true;
+    } else if (name === 'end' && value) {
+      options.end = new Date(value);
+      if (Number.isNaN(options.end.getTime())) {
+        throw new Error(`Invalid --end "${value}"`);
+      }
+    } else if (NUMERIC_OPTIONS[name] && /^\d+$/.test(value || '') && parseInt(value) > 0) {
+      options[NUMERIC_OPTIONS[name]] = parseInt(value);
+    } else {
+      throw new Error(`Unknown or invalid option "${arg}"`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (db.name === 'embedded' && !process.env.EMBEDDED_DB_DIR) {
+    console.warn('⚠️  The embedded database is in memory; set EMBEDDED_DB_DIR to keep the seeded data');
+  }
+
+  try {
+    const summary = await seed(db, options);
+    console.log(`✅ Seeded ${summary.start.toISOString()} .. ${summary.end.toISOString()}`);
+    console.log(`   ${summary.users} users, ${summary.rooms} rooms, ${summary.sessions} sessions`);
+    console.log(`   ${summary.snapshots} snapshots, ${summary.profile_views} profile views, ${summary.activity_log} activity entries`);
+  } catch (error) {
+    console.error('❌ Seeding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+main();
@@ -3,19 +3,53 @@ const cors = require('cors');
 require('dotenv').config();
 
 const apiRoutes = require('./routes/api');
+const ingestRoutes = require('./routes/ingest');
+const streamRoutes = require('./routes/stream');
+const webhookRoutes = require('./routes/webhooks');
+const exportRoutes = require('./routes/export');
+const cacheRoutes = require('./routes/cache');
+const keyRoutes = require('./routes/keys');
+const privacyRoutes = require('./routes/privacy');
+const { authenticate } = require('./middleware/auth');
+const { rateLimit } = require('./middleware/rateLimit');
+const webhooks = require('./lib/webhooks');
+const rollup = require('./lib/rollup');
+const erasure = require('./lib/erasure');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// CORS - Allow all origins for now (we'll restrict later)
+// Behind Railway's proxy req.ip is only the client address when this is set
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY : hops);
+}
+
+// CORS_ORIGINS is a comma-separated allow-list; "*" allows any origin, but without credentials
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const anyOrigin = corsOrigins.includes('*');
+
 app.use(cors({
-  origin: '*',  // ← Important for Railway deployment
-  credentials: true
+  origin: anyOrigin ? '*' : corsOrigins,
+  credentials: !anyOrigin,
+  allowedHeaders: ['Authorization', 'X-API-Key', 'Content-Type', 'If-None-Match', 'Last-Event-ID'],
+  exposedHeaders: ['ETag', 'X-Cache', 'Retry-After', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
-app.use(express.json());
+// Room-list payloads from the ingester are larger than the 100kb default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
+
+// Every /api request is authenticated (anonymous callers included) and rate limited
+app.use('/api', authenticate, rateLimit);
 
 // Routes
+app.use('/api/keys', keyRoutes);
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/cache', cacheRoutes);
+app.use('/api/privacy', privacyRoutes);
 app.use('/api', apiRoutes);
 
 // Health check
@@ -55,4 +89,20 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Free4Talk Tracker API running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  if (corsOrigins.length === 0) {
+    console.warn('⚠️  CORS_ORIGINS is not set; browsers on other origins cannot call the API');
+  }
+
+  if (process.env.WEBHOOKS_ENABLED !== 'false') {
+    webhooks.start();
+  }
+
+  if (process.env.ROLLUP_ENABLED !== 'false') {
+    rollup.start();
+  }
+
+  if (process.env.RETENTION_ENABLED !== 'false') {
+    erasure.start();
+  }
 });
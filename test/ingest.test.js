@@ -0,0 +1,114 @@
+process.env.DB_BACKEND = 'embedded';
+delete process.env.EMBEDDED_DB_DIR;
+process.env.IP_HASH_SALT = 'test';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../db');
+const { privacy } = require('../repositories');
+const { parsePayload, ingestSnapshot } = require('../lib/ingest');
+
+after(() => db.end());
+
+function room(id, userIds, extra = {}) {
+    return { id, topic: `Topic ${id}`, language: 'English', clients: userIds.map(userId => ({ id: userId, name: `Name ${userId}` })), ...extra };
+}
+
+async function openSessions(roomId) {
+    const result = await db.query(
+        'SELECT user_id FROM sessions WHERE room_id = $1 AND is_currently_active = true ORDER BY user_id',
+        [roomId]
+    );
+    return result.rows.map(row => row.user_id);
+}
+
+describe('parsePayload', () => {
+    it('accepts the Free4Talk data object, a rooms array and a bare array', () => {
+        const raw = { data: { a: room('a', ['u1']) } };
+        assert.equal(parsePayload(raw).rooms[0].room_id, 'a');
+        assert.equal(parsePayload({ rooms: [room('b', [])] }).rooms[0].room_id, 'b');
+        assert.equal(parsePayload([room('c', [])]).fullListing, true);
+        assert.equal(parsePayload({ rooms: [], partial: true }).fullListing, false);
+    });
+
+    it('keeps the first occurrence of a user listed twice', () => {
+        const { rooms } = parsePayload({ rooms: [room('a', ['u1', 'u2', 'u1'])] });
+        assert.deepEqual(rooms[0].participants.map(p => [p.user_id, p.position]), [['u1', 0], ['u2', 1]]);
+    });
+
+    it('leaves counts the listing omits as null', () => {
+        const { rooms } = parsePayload({ rooms: [room('a', ['u1'])] });
+        assert.equal(rooms[0].participants[0].followers_count, null);
+    });
+
+    it('rejects payloads it cannot understand with status 400', () => {
+        const cases = [
+            null,
+            { nothing: true },
+            { rooms: [{ clients: [] }] },
+            { rooms: [{ id: 'a', clients: 'u1' }] },
+            { rooms: [{ id: 'a', clients: [{ id: { nested: true } }] }] },
+            { rooms: [{ id: 'a', clients: [{ id: 'u1', followers: '9999999999999' }] }] },
+            { rooms: [{ id: 'a', creator: { id: ['u1'] }, clients: [] }] },
+            { rooms: [], captured_at: 'not a date' }
+        ];
+        for (const body of cases) {
+            assert.throws(() => parsePayload(body), { status: 400 }, JSON.stringify(body));
+        }
+    });
+});
+
+describe('ingestSnapshot', () => {
+    it('opens a session for everyone in a new room', async () => {
+        const result = await ingestSnapshot({ rooms: [room('r1', ['u1', 'u2'])], captured_at: '2026-01-01T10:00:00Z' });
+
+        assert.deepEqual(result.sessions_opened.map(s => s.user_id).sort(), ['u1', 'u2']);
+        assert.equal(result.sessions_closed.length, 0);
+        assert.deepEqual(await openSessions('r1'), ['u1', 'u2']);
+    });
+
+    it('closes sessions of users who left and opens sessions for users who joined', async () => {
+        const result = await ingestSnapshot({ rooms: [room('r1', ['u2', 'u3'])], captured_at: '2026-01-01T10:05:00Z' });
+
+        assert.deepEqual(result.sessions_opened.map(s => s.user_id), ['u3']);
+        assert.deepEqual(result.sessions_closed.map(s => [s.user_id, parseInt(s.duration_seconds)]), [['u1', 300]]);
+        assert.deepEqual(await openSessions('r1'), ['u2', 'u3']);
+    });
+
+    it('closes rooms missing from a full listing, but not from a partial one', async () => {
+        await ingestSnapshot({ rooms: [room('r1', ['u2', 'u3']), room('r2', ['u4'])], captured_at: '2026-01-01T10:10:00Z' });
+
+        const partial = await ingestSnapshot({ rooms: [room('r2', ['u4'])], partial: true, captured_at: '2026-01-01T10:15:00Z' });
+        assert.deepEqual(partial.rooms_closed, []);
+        assert.deepEqual(await openSessions('r1'), ['u2', 'u3']);
+
+        const full = await ingestSnapshot({ rooms: [room('r2', ['u4'])], captured_at: '2026-01-01T10:20:00Z' });
+        assert.deepEqual(full.rooms_closed, ['r1']);
+        assert.deepEqual(full.sessions_closed.map(s => s.user_id).sort(), ['u2', 'u3']);
+        assert.deepEqual(await openSessions('r1'), []);
+    });
+
+    it('rejects a capture that is not newer than the last one with status 409', async () => {
+        await assert.rejects(
+            ingestSnapshot({ rooms: [room('r2', ['u4'])], captured_at: '2026-01-01T10:20:00Z' }),
+            { status: 409 }
+        );
+    });
+
+    it('stores nothing about blocklisted participants and creators', async () => {
+        await privacy.block('u-blocked');
+
+        const result = await ingestSnapshot({
+            rooms: [room('r3', ['u5', 'u-blocked'], { creator: { id: 'u-blocked', name: 'Blocked' } })],
+            partial: true,
+            captured_at: '2026-01-01T10:25:00Z'
+        });
+
+        assert.deepEqual(result.sessions_opened.map(s => s.user_id), ['u5']);
+        const users = await db.query('SELECT 1 FROM users WHERE user_id = $1', ['u-blocked']);
+        assert.equal(users.rowCount, 0);
+        const rooms = await db.query('SELECT creator_user_id, creator_name FROM rooms WHERE room_id = $1', ['r3']);
+        assert.deepEqual(rooms.rows[0], { creator_user_id: null, creator_name: null });
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    encodeCursor,
+    decodeCursor,
+    parsePagination,
+    keysetCondition,
+    keysetOrder,
+    buildPage
+} = require('../lib/pagination');
+
+const TIME = '2026-01-01T10:00:00.123456Z';
+
+function rows(...ids) {
+    return ids.map((id, i) => ({ session_id: id, cursor_time: `2026-01-01T10:00:0${9 - i}.000000Z` }));
+}
+
+describe('cursor encoding', () => {
+    it('round-trips the boundary key and direction', () => {
+        const cursor = encodeCursor('room-timeline', TIME, 42, 'next');
+        assert.deepEqual(decodeCursor(cursor, 'room-timeline'), { time: TIME, id: '42', direction: 'next' });
+    });
+
+    it('rejects a cursor from another list', () => {
+        const cursor = encodeCursor('room-timeline', TIME, 42, 'next');
+        assert.equal(decodeCursor(cursor, 'room-snapshots'), null);
+    });
+
+    it('rejects malformed cursors', () => {
+        const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const cases = [
+            'not-base64-json',
+            encode({ s: 'x', t: TIME, i: '1', d: 'sideways' }),
+            encode({ s: 'x', t: 'not a time', i: '1', d: 'next' }),
+            encode({ s: 'x', i: '1', d: 'next' }),
+            encode({ s: 'x', t: TIME, d: 'next' })
+        ];
+        for (const value of cases) {
+            assert.equal(decodeCursor(value, 'x'), null, value);
+        }
+    });
+});
+
+describe('parsePagination', () => {
+    it('uses offset mode without a cursor', () => {
+        assert.deepEqual(parsePagination({ limit: 10, offset: 20 }, 'x'), { limit: 10, offset: 20, cursor: null });
+        assert.deepEqual(parsePagination({}, 'x', { defaultLimit: 5 }), { limit: 5, offset: 0, cursor: null });
+    });
+
+    it('ignores the offset in cursor mode', () => {
+        const cursor = encodeCursor('x', TIME, 1, 'prev');
+        assert.deepEqual(parsePagination({ limit: 10, offset: 20, cursor }, 'x'), {
+            limit: 10,
+            offset: 0,
+            cursor: { time: TIME, id: '1', direction: 'prev' }
+        });
+    });
+
+    it('returns an error for a cursor it cannot use', () => {
+        const cursor = encodeCursor('other', TIME, 1, 'next');
+        assert.deepEqual(parsePagination({ cursor }, 'x'), { error: 'Invalid cursor' });
+    });
+});
+
+describe('keyset SQL', () => {
+    it('adds no condition in offset mode', () => {
+        const params = ['room'];
+        assert.equal(keysetCondition('joined_at', 'session_id', null, params), 'true');
+        assert.deepEqual(params, ['room']);
+        assert.equal(keysetOrder('joined_at', 'session_id', null), 'joined_at DESC, session_id DESC');
+    });
+
+    it('reads older rows for next and newer rows, oldest first, for prev', () => {
+        const params = ['room'];
+        const next = keysetCondition('joined_at', 'session_id', { time: TIME, id: '7', direction: 'next' }, params);
+        assert.equal(next, '(joined_at, session_id) < ($2::timestamptz, $3)');
+        assert.deepEqual(params, ['room', TIME, '7']);
+
+        const prev = { time: TIME, id: '7', direction: 'prev' };
+        assert.match(keysetCondition('joined_at', 'session_id', prev, []), /\) > \(/);
+        assert.equal(keysetOrder('joined_at', 'session_id', prev), 'joined_at ASC, session_id ASC');
+    });
+});
+
+describe('buildPage', () => {
+    const options = { scope: 'x', idField: 'session_id', limit: 2 };
+
+    it('drops the extra row and points next_cursor at the last item', () => {
+        const { items, pagination } = buildPage(rows(3, 2, 1), { ...options, offset: 0, cursor: null, total: 3 });
+
+        assert.deepEqual(items, [{ session_id: 3 }, { session_id: 2 }]);
+        assert.equal(pagination.mode, 'offset');
+        assert.equal(pagination.total, 3);
+        assert.equal(pagination.has_more, true);
+        assert.equal(pagination.prev_cursor, null);
+        assert.deepEqual(decodeCursor(pagination.next_cursor, 'x'), { time: '2026-01-01T10:00:08.000000Z', id: '2', direction: 'next' });
+    });
+
+    it('has no next_cursor on the last page', () => {
+        const { pagination } = buildPage(rows(2, 1), { ...options, offset: 2, cursor: null });
+        assert.equal(pagination.has_more, false);
+        assert.equal(pagination.next_cursor, null);
+        assert.notEqual(pagination.prev_cursor, null);
+    });
+
+    it('reverses prev pages back to newest first', () => {
+        const cursor = { time: TIME, id: '1', direction: 'prev' };
+        // Read oldest first: 2, 3, then the extra 4
+        const fetched = [
+            { session_id: 2, cursor_time: '2026-01-01T10:00:02.000000Z' },
+            { session_id: 3, cursor_time: '2026-01-01T10:00:03.000000Z' },
+            { session_id: 4, cursor_time: '2026-01-01T10:00:04.000000Z' }
+        ];
+        const { items, pagination } = buildPage(fetched, { ...options, offset: 0, cursor });
+
+        assert.deepEqual(items, [{ session_id: 3 }, { session_id: 2 }]);
+        assert.equal(pagination.mode, 'cursor');
+        assert.equal(pagination.offset, null);
+        assert.equal(decodeCursor(pagination.prev_cursor, 'x').id, '3');
+        assert.equal(decodeCursor(pagination.next_cursor, 'x').id, '2');
+    });
+});
@@ -0,0 +1,77 @@
+process.env.DB_BACKEND = 'embedded';
+delete process.env.EMBEDDED_DB_DIR;
+process.env.IP_HASH_SALT = 'test';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../db');
+const { privacy } = require('../repositories');
+const { hashIp, notBlocked, redactedParticipants, creatorColumn, creatorColumns } = require('../lib/privacy');
+
+before(async () => {
+    await db.query(`INSERT INTO users (user_id, username) VALUES ('u1', 'One'), ('u2', 'Two'), ('u3', 'Three')`);
+    await db.query(
+        `INSERT INTO rooms (room_id, creator_user_id, creator_name, creator_avatar, creator_is_verified)
+         VALUES ('r1', 'u1', 'One', 'one.png', true), ('r2', 'u2', 'Two', 'two.png', true)`
+    );
+    await db.query(
+        `INSERT INTO room_snapshots (room_id, participants_count, participants_json)
+         VALUES ('r1', 3, '[{"user_id": "u1"}, {"user_id": "u2"}, {"user_id": "u3"}]')`
+    );
+    await privacy.block('u2');
+});
+
+after(() => db.end());
+
+describe('notBlocked', () => {
+    it('filters blocklisted users by the qualified column', async () => {
+        const result = await db.query(`SELECT user_id FROM users WHERE ${notBlocked('users.user_id')} ORDER BY user_id`);
+        assert.deepEqual(result.rows.map(row => row.user_id), ['u1', 'u3']);
+    });
+
+    it('works on joined tables through their alias', async () => {
+        const result = await db.query(
+            `SELECT r.room_id FROM rooms r JOIN users u ON u.user_id = r.creator_user_id
+             WHERE ${notBlocked('u.user_id')}`
+        );
+        assert.deepEqual(result.rows.map(row => row.room_id), ['r1']);
+    });
+});
+
+describe('redactedParticipants', () => {
+    it('drops blocklisted users and keeps the order of the rest', async () => {
+        const result = await db.query(
+            `SELECT ${redactedParticipants('participants_json')} as participants FROM room_snapshots WHERE room_id = 'r1'`
+        );
+        assert.deepEqual(result.rows[0].participants, [{ user_id: 'u1' }, { user_id: 'u3' }]);
+    });
+});
+
+describe('creator columns', () => {
+    it('blank out a blocklisted creator', async () => {
+        const result = await db.query(`SELECT room_id, ${creatorColumns()} FROM rooms ORDER BY room_id`);
+        assert.deepEqual(result.rows, [
+            { room_id: 'r1', creator_user_id: 'u1', creator_name: 'One', creator_avatar: 'one.png', creator_is_verified: true },
+            { room_id: 'r2', creator_user_id: null, creator_name: null, creator_avatar: null, creator_is_verified: false }
+        ]);
+    });
+
+    it('qualify the columns with the given alias', async () => {
+        const result = await db.query(
+            `SELECT ${creatorColumn('creator_name', 'r')} as creator_name
+             FROM rooms r JOIN users u ON u.user_id = r.creator_user_id
+             ORDER BY r.room_id`
+        );
+        assert.deepEqual(result.rows.map(row => row.creator_name), ['One', null]);
+    });
+});
+
+describe('hashIp', () => {
+    it('hashes the same IP the same way and leaves missing IPs null', () => {
+        assert.equal(hashIp('203.0.113.7'), hashIp('203.0.113.7'));
+        assert.notEqual(hashIp('203.0.113.7'), hashIp('203.0.113.8'));
+        assert.match(hashIp('203.0.113.7'), /^[0-9a-f]{64}$/);
+        assert.equal(hashIp(null), null);
+    });
+});
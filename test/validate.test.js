@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validate, rules } = require('../middleware/validate');
+
+/**
+ * Run the middleware against a fake request; returns the 400 body, or the
+ * coerced params and query when it called next()
+ */
+function run(schema, { params = {}, query = {} } = {}) {
+    const req = { params, query };
+    let result = null;
+    const res = {
+        status(code) {
+            assert.equal(code, 400);
+            return this;
+        },
+        json(body) {
+            result = { rejected: body };
+        }
+    };
+    validate(schema)(req, res, () => {
+        result = { params: req.params, query: req.query };
+    });
+    return result;
+}
+
+describe('validate', () => {
+    it('coerces query values and fills in defaults', () => {
+        const { query } = run({
+            query: {
+                limit: rules.limit(20, 100),
+                active_only: rules.flag(false),
+                since: rules.date,
+                types: { type: 'list', of: { type: 'string', enum: ['users', 'rooms'] } },
+                min_score: { type: 'number', min: 0 }
+            }
+        }, { query: { limit: '5', since: '2026-01-01', types: 'users, rooms', min_score: '0.5', other: 'kept' } });
+
+        assert.deepEqual(query, {
+            limit: 5,
+            active_only: false,
+            since: '2026-01-01T00:00:00.000Z',
+            types: ['users', 'rooms'],
+            min_score: 0.5,
+            other: 'kept'
+        });
+    });
+
+    it('drops optional fields sent empty', () => {
+        const { query } = run({ query: { cursor: rules.cursor } }, { query: { cursor: '' } });
+        assert.equal('cursor' in query, false);
+    });
+
+    it('trims strings with trim set before checking them', () => {
+        const { query } = run({ query: { q: rules.searchQuery } }, { query: { q: '  abc  ' } });
+        assert.equal(query.q, 'abc');
+    });
+
+    it('reports every offending field in one 400', () => {
+        const { rejected } = run({
+            params: { userId: rules.userId },
+            query: {
+                limit: rules.limit(20, 100),
+                offset: rules.offset,
+                flag: rules.flag(false),
+                tz: rules.timeZone
+            }
+        }, { params: {}, query: { limit: '500', offset: 'abc', flag: 'maybe', tz: 'Mars/Olympus' } });
+
+        assert.equal(rejected.error, 'Invalid request parameters');
+        assert.deepEqual(rejected.details.map(d => [d.location, d.field]), [
+            ['params', 'userId'],
+            ['query', 'limit'],
+            ['query', 'offset'],
+            ['query', 'flag'],
+            ['query', 'tz']
+        ]);
+        assert.equal(rejected.details[1].message, 'must be between 1 and 100');
+    });
+
+    it('rejects repeated values except for lists', () => {
+        const { rejected } = run({ query: { limit: rules.limit(20) } }, { query: { limit: ['1', '2'] } });
+        assert.equal(rejected.details[0].message, 'must be given only once');
+
+        const { query } = run({ query: { ids: { type: 'list' } } }, { query: { ids: ['a', 'b'] } });
+        assert.deepEqual(query.ids, ['a', 'b']);
+    });
+
+    it('rejects integers beyond the safe range and strings past maxLength', () => {
+        const { rejected } = run({
+            query: { n: { type: 'int' }, q: rules.searchQuery }
+        }, { query: { n: '99999999999999999999', q: 'x'.repeat(101) } });
+
+        assert.deepEqual(rejected.details.map(d => d.message), ['is out of range', 'must be at most 100 characters']);
+    });
+});